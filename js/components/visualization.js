@@ -62,14 +62,16 @@ class VisualizationManager {
         this.charts.income = new Chart(ctx, {
             type: 'doughnut',
             data: {
-                labels: ['Take Home Pay', 'Federal Tax', 'State Tax', 'FICA Taxes'],
+                labels: ['Take Home Pay', 'Federal Tax', 'State Tax', 'Local Tax', 'FICA Taxes', 'State Payroll Taxes'],
                 datasets: [{
-                    data: [0, 0, 0, 0],
+                    data: [0, 0, 0, 0, 0, 0],
                     backgroundColor: [
                         this.colors.green,
                         this.colors.red,
                         this.colors.purple,
-                        this.colors.yellow
+                        this.colors.gray,
+                        this.colors.yellow,
+                        this.colors.lightGray
                     ],
                     borderWidth: 2,
                     borderColor: '#ffffff'
@@ -180,6 +182,14 @@ class VisualizationManager {
                         fill: false,
                         tension: 0.4
                     },
+                    {
+                        label: 'Estimated Taxes',
+                        data: new Array(12).fill(0),
+                        borderColor: this.colors.yellow,
+                        backgroundColor: this.colors.yellow + '20',
+                        fill: false,
+                        stepped: true
+                    },
                     {
                         label: 'Net Cash Flow',
                         data: new Array(12).fill(0),
@@ -240,11 +250,13 @@ class VisualizationManager {
         }
 
         // Break down tax data
-        const person1 = this.currentData.person1;
-        const person2 = this.currentData.person2;
-        const federalTax = (person1.federalTax || 0) + (person2.federalTax || 0);
-        const stateTax = (person1.stateTax || 0) + (person2.stateTax || 0);
-        const ficaTax = (person1.fica.total || 0) + (person2.fica.total || 0);
+        const memberData = this.currentData.members.map(member => this.currentData[member]);
+        const sumTax = (getTax) => memberData.reduce((sum, personData) => sum + (getTax(personData) || 0), 0);
+        const federalTax = sumTax(personData => personData.federalTax);
+        const stateTax = sumTax(personData => personData.stateTax);
+        const localTax = sumTax(personData => personData.localTax);
+        const ficaTax = sumTax(personData => personData.fica.total);
+        const statePayrollTax = this.currentData.household.statePayrollTaxes.total;
 
         if (this.currentView !== 'combined') {
             const personData = this.currentData[this.currentView];
@@ -252,17 +264,24 @@ class VisualizationManager {
                 personData.netAnnual,
                 personData.federalTax,
                 personData.stateTax,
-                personData.fica.total
+                personData.localTax || 0,
+                personData.fica.total,
+                personData.statePayrollTaxes.total
             ];
         } else {
             this.charts.income.data.datasets[0].data = [
                 incomeData,
                 federalTax,
                 stateTax,
-                ficaTax
+                localTax,
+                ficaTax,
+                statePayrollTax
             ];
         }
 
+        // Refundable credits can take a tax below zero; the refund is already in take-home pay
+        this.charts.income.data.datasets[0].data = this.charts.income.data.datasets[0].data.map(value => Math.max(0, value));
+
         this.charts.income.update();
     }
 
@@ -285,23 +304,17 @@ class VisualizationManager {
     }
 
     /**
-     * Update cash flow chart with projected data
+     * Update cash flow chart from the month-by-month cash flow (HouseholdCalculator.calculateCashFlow)
      */
     updateCashflowChart() {
         if (!this.charts.cashflow || !this.currentData) return;
 
-        const monthlyNet = this.currentData.household.monthlyNetIncome;
-        const monthlyExpenses = this.currentData.expenses.total;
-        const monthlyCashFlow = monthlyNet - monthlyExpenses;
-
-        // Create 12 months of data (could be enhanced with seasonal variations)
-        const netIncomeData = new Array(12).fill(monthlyNet);
-        const expenseData = new Array(12).fill(monthlyExpenses);
-        const cashFlowData = new Array(12).fill(monthlyCashFlow);
+        const months = this.currentData.cashFlow.months;
 
-        this.charts.cashflow.data.datasets[0].data = netIncomeData;
-        this.charts.cashflow.data.datasets[1].data = expenseData;
-        this.charts.cashflow.data.datasets[2].data = cashFlowData;
+        this.charts.cashflow.data.datasets[0].data = months.map(month => month.income);
+        this.charts.cashflow.data.datasets[1].data = months.map(month => month.expenses);
+        this.charts.cashflow.data.datasets[2].data = months.map(month => month.estimatedTaxes);
+        this.charts.cashflow.data.datasets[3].data = months.map(month => month.netCashFlow);
 
         this.charts.cashflow.update();
     }
@@ -485,6 +498,15 @@ class VisualizationManager {
                         borderColor: this.colors.primary,
                         borderWidth: 2,
                         fill: true
+                    },
+                    {
+                        label: 'Checking Balance',
+                        data: new Array(12).fill(0),
+                        backgroundColor: this.colors.yellow + '20',
+                        borderColor: this.colors.yellow,
+                        borderWidth: 2,
+                        borderDash: [6, 4],
+                        fill: false
                     }
                 ]
             },
@@ -538,18 +560,13 @@ class VisualizationManager {
     updateProjectionChart() {
         if (!this.charts.projection || !this.currentData) return;
 
-        const monthlyNet = this.currentData.household.monthlyNetIncome;
-        const monthlyExpenses = this.currentData.expenses.total;
-        const monthlySurplus = monthlyNet - monthlyExpenses;
-
-        // Create 12 months of projected data
-        const netIncomeData = new Array(12).fill(monthlyNet);
-        const expenseData = new Array(12).fill(monthlyExpenses);
-        const surplusData = new Array(12).fill(monthlySurplus);
+        const months = this.currentData.cashFlow.months;
 
-        this.charts.projection.data.datasets[0].data = netIncomeData;
-        this.charts.projection.data.datasets[1].data = expenseData;
-        this.charts.projection.data.datasets[2].data = surplusData;
+        // Net income here is after the estimated tax payments made that month
+        this.charts.projection.data.datasets[0].data = months.map(month => month.income - month.estimatedTaxes);
+        this.charts.projection.data.datasets[1].data = months.map(month => month.expenses);
+        this.charts.projection.data.datasets[2].data = months.map(month => month.netCashFlow);
+        this.charts.projection.data.datasets[3].data = months.map(month => month.balance);
 
         this.charts.projection.update();
     }
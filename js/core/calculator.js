@@ -4,10 +4,29 @@
  */
 
 class HouseholdCalculator {
-    constructor(taxCalculator) {
+    constructor(taxCalculator, withholdingCalculator = null) {
         this.taxCalc = taxCalculator;
+        this.withholding = withholdingCalculator;
         this.currentScenario = null;
         this.calculations = {};
+
+        // Income-driven student loan repayment (IBR for new borrowers, PAYE): 10% of AGI above
+        // 150% of the HHS poverty guideline (2025, 48 states), capped at the standard payment
+        this.incomeDrivenRepayment = {
+            paymentRate: 0.10,
+            povertyLineMultiple: 1.5,
+            povertyGuideline: { base: 15650, perAdditionalPerson: 5500 }
+        };
+
+        // Payments per year for each expense frequency. One-time expenses aren't part of the
+        // recurring budget; they're paid once, in their due month of their dueYear.
+        this.expenseFrequencies = {
+            weekly: 52,
+            monthly: 12,
+            quarterly: 4,
+            annual: 1,
+            oneTime: 0
+        };
     }
 
     /**
@@ -25,33 +44,149 @@ class HouseholdCalculator {
     calculateScenario(scenario) {
         if (!scenario) return null;
 
-        const person1Calc = this.calculatePersonIncome(scenario.income.person1, scenario);
-        const person2Calc = this.calculatePersonIncome(scenario.income.person2, scenario);
-        const householdExpenses = this.calculateHouseholdExpenses(scenario.expenses);
-        const ramitBreakdown = this.calculateRamitBreakdown(scenario.expenses, person1Calc.netAnnual + person2Calc.netAnnual);
+        const taxYearData = this.applyTaxYear(scenario);
+        const members = this.getMembers(scenario);
+        const { members: memberCalcs, jointReturn } = this.calculateHouseholdIncome(scenario);
+        const calcs = members.map(member => memberCalcs[member]);
+        const sum = (field) => calcs.reduce((total, calc) => total + calc[field], 0);
+        // Members on the joint return have no AGI or AMT of their own
+        const separateCalcs = calcs.filter(calc => calc.jointTaxShare === null);
+        const returns = jointReturn ? [jointReturn, ...separateCalcs] : separateCalcs;
+
+        const householdExpenses = this.calculateHouseholdExpenses(scenario.expenses, taxYearData.taxYear);
+        const ramitBreakdown = this.calculateRamitBreakdown(scenario.expenses, sum('netAnnual'));
+        const withholding = this.withholding
+            ? this.withholding.simulateHousehold(scenario, memberCalcs)
+            : null;
+        const expenseShares = this.allocateExpenses(scenario, memberCalcs);
+        const estimatedTaxes = withholding
+            ? this.withholding.planEstimatedTaxes(scenario, withholding, taxYearData.taxYear)
+            : null;
         
         return {
-            person1: person1Calc,
-            person2: person2Calc,
+            members,
+            ...memberCalcs,
             household: {
-                grossIncome: person1Calc.gross + person2Calc.gross,
-                netIncome: person1Calc.netAnnual + person2Calc.netAnnual,
-                monthlyNetIncome: (person1Calc.netAnnual + person2Calc.netAnnual) / 12,
-                totalTaxes: person1Calc.totalTax + person2Calc.totalTax,
-                effectiveRate: ((person1Calc.totalTax + person2Calc.totalTax) / (person1Calc.gross + person2Calc.gross)) * 100
+                grossIncome: sum('gross'),
+                netIncome: sum('netAnnual'),
+                monthlyNetIncome: sum('netAnnual') / 12,
+                totalTaxes: sum('totalTax'),
+                effectiveRate: sum('gross') > 0 ? (sum('totalTax') / sum('gross')) * 100 : 0,
+                adjustedIncome: separateCalcs.reduce((total, calc) => total + calc.adjustedIncome, jointReturn ? jointReturn.adjustedIncome : 0),
+                netInvestmentIncomeTax: sum('netInvestmentIncomeTax'),
+                statePayrollTaxes: this.taxCalc.combineStatePayrollTaxes(calcs.map(calc => calc.statePayrollTaxes)),
+                alternativeMinimumTax: sum('alternativeMinimumTax'),
+                tentativeMinimumTax: separateCalcs.reduce((total, calc) => total + calc.tentativeMinimumTax,
+                    jointReturn ? jointReturn.alternativeMinimumTax.tentativeMinimumTax : 0),
+                taxYear: taxYearData.taxYear,
+                taxYearProjected: taxYearData.projected,
+                deductions: this.summarizeDeductions(returns, jointReturn),
+                credits: this.summarizeCredits(returns),
+                stateTaxes: this.summarizeStateTaxes(returns),
+                jointReturn
             },
+            withholding,
+            estimatedTaxes,
             expenses: householdExpenses,
+            cashFlow: this.calculateCashFlow(scenario, memberCalcs, withholding, estimatedTaxes, householdExpenses.schedule),
+            expenseShares,
+            jointAccount: this.calculateJointAccountTransfers(scenario, expenseShares),
+            settleUp: this.calculateSettleUp(scenario, expenseShares),
             ramitBreakdown,
-            summary: this.calculateSummaryMetrics(person1Calc, person2Calc, householdExpenses)
+            summary: this.calculateSummaryMetrics(calcs, householdExpenses)
         };
     }
 
     /**
-     * Calculate individual person's take-home pay
+     * Get the household's member ids, in order
+     * `household.members` lists them; older scenarios without it use every income record
      */
-    calculatePersonIncome(person, scenario) {
-        if (!person) return this.getEmptyPersonCalculation();
+    getMembers(scenario) {
+        const members = scenario.household.members || Object.keys(scenario.income || {});
+        return members.filter(member => scenario.income[member]);
+    }
+
+    /**
+     * Get the status a member files under
+     * Members with their own `filingStatus` (an adult child or roommate) file their own
+     * return; everyone else files under the household's status
+     */
+    getFilingStatus(scenario, member) {
+        const person = scenario.income[member];
+        return (person && person.filingStatus) || scenario.household.filingStatus;
+    }
+
+    /**
+     * Get the members who file under the household's status
+     * They share the household's itemized deductions and investment income
+     */
+    getHouseholdFilers(scenario) {
+        const members = this.getMembers(scenario);
+        const filers = members.filter(member => !scenario.income[member].filingStatus);
+        return filers.length > 0 ? filers : members;
+    }
+
+    /**
+     * Point the tax engine at the scenario's tax year
+     * Years past the latest published tables are indexed by the scenario's inflation rate
+     */
+    applyTaxYear(scenario) {
+        const { taxYear, taxInflationRate } = scenario.household;
+        return this.taxCalc.setTaxYear(taxYear || this.taxCalc.federalTaxTables.defaultYear, taxInflationRate);
+    }
+
+    /**
+     * Calculate every member's take-home pay
+     * Members filing jointly share one return whose liability is allocated back to each;
+     * everyone else files their own
+     * @returns {{members: Object, jointReturn: Object|null}} calculations keyed by member
+     */
+    calculateHouseholdIncome(scenario) {
+        const members = this.getMembers(scenario);
+        const jointMembers = members.filter(member => this.getFilingStatus(scenario, member) === 'marriedFilingJointly');
+        const separateMembers = members.filter(member => !jointMembers.includes(member));
+        const separateFilers = separateMembers.filter(member => this.getFilingStatus(scenario, member) === 'marriedFilingSeparately');
+        const joint = jointMembers.length > 0 ? this.calculateJointIncome(scenario, jointMembers) : { jointReturn: null };
+
+        // Separate returns each claim their share of the household's itemized deductions
+        // and investment income, and the dependents assigned to them
+        const calculateReturns = (federalDeductionMethod = null, returnMembers = separateMembers) => Object.fromEntries(
+            returnMembers.map(member => [member, this.calculatePersonIncome(
+                scenario.income[member],
+                scenario,
+                { ...this.getTaxOptions(scenario, [member]), federalDeductionMethod },
+                this.getFilingStatus(scenario, member)
+            )])
+        );
+        const returns = calculateReturns();
+
+        // Spouses filing separately must both itemize if either does, so when their choices
+        // differ keep the cheaper of both itemizing and both taking the standard deduction
+        const methods = new Set(separateFilers
+            .map(member => returns[member])
+            .filter(calc => calc.federalDeduction)
+            .map(calc => calc.federalDeduction.method));
 
+        if (methods.size > 1) {
+            const totalTax = (alternative) => separateFilers.reduce((sum, member) => sum + alternative[member].totalTax, 0);
+            const best = ['itemized', 'standard']
+                .map(method => calculateReturns(method, separateFilers))
+                .reduce((cheapest, alternative) => (totalTax(alternative) < totalTax(cheapest) ? alternative : cheapest));
+            Object.assign(returns, best);
+        }
+
+        return {
+            members: Object.fromEntries(members.map(member => [member, joint[member] || returns[member]])),
+            jointReturn: joint.jointReturn
+        };
+    }
+
+    /**
+     * Get a person's gross income, pre-tax deductions (total and by type, since each
+     * type is excluded from different wages), self-employment net profit, ISO spread and
+     * the state they work in when it isn't where they live
+     */
+    getPersonTaxInputs(person) {
         // Calculate gross income
         const grossIncome = (person.salary || 0) + (person.bonus || 0) + (person.otherIncome || 0);
         
@@ -59,27 +194,680 @@ class HouseholdCalculator {
         const preTexDeductions = person.preTexDeductions ? 
             Object.values(person.preTexDeductions).reduce((sum, amount) => sum + (amount || 0), 0) : 0;
 
+        // Self-employment income is taxed on net profit after business expenses
+        const selfEmploymentIncome = person.selfEmployment
+            ? (person.selfEmployment.income || 0) - (person.selfEmployment.expenses || 0) : 0;
+
+        return {
+            grossIncome,
+            preTexDeductions,
+            preTaxDeductionsByType: person.preTexDeductions || {},
+            selfEmploymentIncome,
+            isoExerciseSpread: person.isoExerciseSpread || 0,
+            workState: person.workState || null
+        };
+    }
+
+    /**
+     * Get a person's 401(k) contributions by bucket
+     * Traditional deferrals are in preTexDeductions; Roth and after-tax come out of take-home pay
+     */
+    getRetirementContributions(person) {
+        const traditional = person.preTexDeductions?.retirement401k || 0;
+        const roth = person.afterTaxDeductions?.roth401k || 0;
+        const afterTax = person.afterTaxDeductions?.afterTax401k || 0;
+
+        return {
+            traditional,
+            roth,
+            afterTax,
+            electiveDeferrals: traditional + roth,
+            total: traditional + roth + afterTax
+        };
+    }
+
+    /**
+     * Check a person's contributions against their limits in the registry
+     * Traditional and Roth deferrals share the elective deferral limit; all three 401(k)
+     * buckets count toward the annual additions limit
+     * @returns {Array<{account: string, message: string}>}
+     */
+    checkContributionLimits(person, filingStatus = 'single') {
+        const limits = this.taxCalc.getContributionLimits(person, filingStatus);
+        const contributions = this.getRetirementContributions(person);
+        const hsa = person.preTexDeductions?.hsa || 0;
+        const dependentCareFsa = person.preTexDeductions?.dependentCareFsa || 0;
+        const issues = [];
+
+        if (contributions.electiveDeferrals > limits.retirement401k) {
+            issues.push({
+                account: 'retirement401k',
+                message: `Traditional and Roth 401(k) deferrals exceed the ${this.formatCurrency(limits.retirement401k)} limit`
+            });
+        }
+        if (contributions.total > limits.annualAdditions) {
+            issues.push({
+                account: 'annualAdditions',
+                message: `401(k) contributions exceed the ${this.formatCurrency(limits.annualAdditions)} annual additions limit`
+            });
+        }
+        if (hsa > limits.hsa) {
+            issues.push({
+                account: 'hsa',
+                message: `HSA contributions exceed the ${this.formatCurrency(limits.hsa)} ${person.hsaCoverage === 'family' ? 'family' : 'self-only'} coverage limit`
+            });
+        }
+        if (dependentCareFsa > limits.dependentCareFsa) {
+            issues.push({
+                account: 'dependentCareFsa',
+                message: `Dependent care FSA exceeds the ${this.formatCurrency(limits.dependentCareFsa)} household limit`
+            });
+        }
+
+        return issues;
+    }
+
+    /**
+     * Get how much room a person has left under each contribution limit
+     * IRA contributions come from the budget's Roth IRA line (shared amounts split by the
+     * household's split policy); joint filers share one dependent-care FSA limit
+     */
+    getContributionHeadroom(scenario, member, calculations = this.calculateScenario(scenario)) {
+        const person = scenario.income[member];
+        if (!person) return null;
+
+        this.applyTaxYear(scenario);
+        const filingStatus = this.getFilingStatus(scenario, member);
+        const limits = this.taxCalc.getContributionLimits(person, filingStatus);
+        const contributions = this.getRetirementContributions(person);
+        const iraContributions = this.getIraContributions(scenario, member, calculations);
+        const fsaMembers = filingStatus === 'marriedFilingJointly'
+            ? this.getMembers(scenario).filter(fsaMember => this.getFilingStatus(scenario, fsaMember) === filingStatus)
+            : [member];
+        const dependentCareFsa = fsaMembers.reduce((sum, fsaMember) =>
+            sum + (scenario.income[fsaMember]?.preTexDeductions?.dependentCareFsa || 0), 0);
+
+        const account = (limit, contributed) => ({ limit, contributed, remaining: Math.max(0, limit - contributed) });
+        return {
+            retirement401k: account(limits.retirement401k, contributions.electiveDeferrals),
+            annualAdditions: account(limits.annualAdditions, contributions.total),
+            hsa: account(limits.hsa, person.preTexDeductions?.hsa || 0),
+            ira: account(limits.ira, iraContributions),
+            dependentCareFsa: account(limits.dependentCareFsa, dependentCareFsa)
+        };
+    }
+
+    /**
+     * Get a person's annual IRA contributions from the budget's Roth IRA line
+     * (shared amounts split as allocateExpenses splits them)
+     * @param {Object} memberCalcs - calculations keyed by member, for income-based splits
+     */
+    getIraContributions(scenario, member, memberCalcs) {
+        const rothIRA = scenario.expenses?.ramitCategories?.investments?.rothIRA;
+        return rothIRA && rothIRA.amount
+            ? this.getMonthlyAmount(rothIRA) * this.getExpenseItemFractions(scenario, rothIRA, memberCalcs)[member] * 12
+            : 0;
+    }
+
+    /**
+     * Check each person's Roth IRA contributions against the direct limit for their
+     * modified AGI (the return's AGI: household AGI for joint filers, their own otherwise)
+     * Contributions over the direct limit but within the IRA limit need a backdoor: a
+     * nondeductible traditional IRA contribution converted to Roth. The pro-rata rule makes
+     * the conversion taxable in proportion to the person's pre-tax IRA balances.
+     * @returns {Object} keyed by member
+     */
+    checkRothIraEligibility(scenario, calculations = this.calculateScenario(scenario)) {
+        this.applyTaxYear(scenario);
+        const results = {};
+
+        this.getMembers(scenario).forEach(member => {
+            const person = scenario.income[member];
+            const filingStatus = this.getFilingStatus(scenario, member);
+            const calculation = calculations[member];
+            const modifiedAGI = calculation.adjustedIncome !== null
+                ? calculation.adjustedIncome : calculations.household.jointReturn.adjustedIncome;
+            const iraLimit = this.taxCalc.getContributionLimits(person, filingStatus).ira;
+            const { limit: directLimit, phaseOut } = this.taxCalc.calculateRothIraLimit(modifiedAGI, iraLimit, filingStatus);
+            const contributed = this.getIraContributions(scenario, member, calculations);
+
+            const backdoorAmount = Math.max(0, Math.min(contributed, iraLimit) - directLimit);
+            const preTaxIraBalance = person.preTaxIraBalance || 0;
+            const taxableFraction = backdoorAmount > 0 ? preTaxIraBalance / (preTaxIraBalance + backdoorAmount) : 0;
+            const taxableConversion = Math.round(backdoorAmount * taxableFraction * 100) / 100;
+
+            results[member] = {
+                modifiedAGI,
+                phaseOut,
+                iraLimit,
+                directLimit,
+                contributed,
+                overContribution: Math.max(0, contributed - iraLimit),
+                backdoorNeeded: backdoorAmount > 0,
+                backdoorAmount,
+                proRata: {
+                    preTaxIraBalance,
+                    taxableFraction,
+                    taxableConversion,
+                    // Taxed at the return's marginal rate
+                    estimatedTax: Math.round(taxableConversion * calculation.marginalRate) / 100
+                }
+            };
+        });
+
+        return results;
+    }
+
+    /**
+     * Compare household take-home pay for one person's 401(k) deferrals
+     * as all traditional, the current mix, and all Roth, plus the current mix with
+     * the person's remaining deferral room filled with traditional contributions
+     * @param {Object} calculations - the scenario's calculations, reused for the current mix
+     */
+    compareRetirementMix(scenario, member, calculations = this.calculateScenario(scenario)) {
+        const person = scenario.income[member];
+        if (!person) return null;
+
+        this.applyTaxYear(scenario);
+        const { traditional, roth, afterTax, electiveDeferrals } = this.getRetirementContributions(person);
+        const limits = this.taxCalc.getContributionLimits(person, this.getFilingStatus(scenario, member));
+        const maxTraditional = Math.max(traditional, Math.min(limits.retirement401k - roth, limits.annualAdditions - roth - afterTax));
+        const mixes = {
+            traditional: { traditional: electiveDeferrals, roth: 0 },
+            current: { traditional, roth },
+            roth: { traditional: 0, roth: electiveDeferrals },
+            max: { traditional: maxTraditional, roth }
+        };
+
+        const results = {};
+        for (const [mix, deferrals] of Object.entries(mixes)) {
+            const modified = JSON.parse(JSON.stringify(scenario));
+            const modifiedPerson = modified.income[member];
+            modifiedPerson.preTexDeductions = { ...modifiedPerson.preTexDeductions, retirement401k: deferrals.traditional };
+            modifiedPerson.afterTaxDeductions = { ...modifiedPerson.afterTaxDeductions, roth401k: deferrals.roth };
+
+            const { household } = mix === 'current' ? calculations : this.calculateScenario(modified);
+            results[mix] = { ...deferrals, netIncome: household.netIncome, totalTaxes: household.totalTaxes };
+        }
+
+        // Change in household take-home relative to the current mix
+        for (const mix of Object.keys(results)) {
+            results[mix].takeHomeChange = Math.round((results[mix].netIncome - results.current.netIncome) * 100) / 100;
+        }
+
+        return results;
+    }
+
+    /**
+     * Measure what the next dollars of one person's pay, or of their traditional 401(k)
+     * deferrals, do to the whole household calculation
+     * `calculateMarginalRate` only adds bracket rates; this re-runs every tax (FICA, state
+     * payroll taxes, local taxes, credit and deduction phase-outs, AMT) with `step` more
+     * salary, bonus or pre-tax contributions. Rates are percentages of `step`.
+     * - raise: `step` more salary
+     * - bonus: `step` more bonus, plus how much more is withheld when it's paid
+     * - preTaxContribution: `step` more traditional 401(k); taxSavings is what it saves now
+     * @param {Object} calculations - the scenario's calculations, the baseline for each change
+     */
+    analyzeMarginalDollar(scenario, member, calculations = this.calculateScenario(scenario), step = 1000) {
+        if (!scenario.income[member]) return null;
+
+        const run = (modify) => {
+            const modified = JSON.parse(JSON.stringify(scenario));
+            modify(modified.income[member]);
+            return this.calculateScenario(modified);
+        };
+        const taxesOf = (calculations) => calculations.members.reduce((totals, calcMember) => {
+            const calc = calculations[calcMember];
+            return {
+                federal: totals.federal + calc.federalTax,
+                state: totals.state + calc.stateTax,
+                local: totals.local + calc.localTax,
+                fica: totals.fica + (calc.fica ? calc.fica.total : 0),
+                statePayroll: totals.statePayroll + calc.statePayrollTaxes.total
+            };
+        }, { federal: 0, state: 0, local: 0, fica: 0, statePayroll: 0 });
+        const round = (amount) => Math.round(amount * 100) / 100;
+
+        const base = calculations;
+        const baseTaxes = taxesOf(base);
+        const change = (calculations) => {
+            const taxes = taxesOf(calculations);
+            const breakdown = Object.fromEntries(Object.keys(taxes).map(key => [key, round(taxes[key] - baseTaxes[key])]));
+            const taxChange = round(calculations.household.totalTaxes - base.household.totalTaxes);
+            return {
+                taxChange,
+                rate: round(taxChange / step * 100),
+                takeHomeChange: round(calculations.household.netIncome - base.household.netIncome),
+                breakdown
+            };
+        };
+
+        const raise = change(run(person => { person.salary = (person.salary || 0) + step; }));
+        const bonusCalculations = run(person => { person.bonus = (person.bonus || 0) + step; });
+        const withheld = (calculations) => (calculations.withholding ? calculations.withholding.household.withheld : 0);
+        const contribution = change(run(person => {
+            person.preTexDeductions = {
+                ...person.preTexDeductions,
+                retirement401k: (person.preTexDeductions?.retirement401k || 0) + step
+            };
+        }));
+
+        return {
+            step,
+            bracketRate: base[member].marginalRate,
+            raise,
+            bonus: {
+                ...change(bonusCalculations),
+                withholdingChange: round(withheld(bonusCalculations) - withheld(base))
+            },
+            preTaxContribution: {
+                ...contribution,
+                taxSavings: round(-contribution.taxChange),
+                rate: round(-contribution.rate)
+            }
+        };
+    }
+
+    /**
+     * Compare the household's taxes filing jointly and separately
+     * Each status gets its own deduction and credit rules (see TaxCalculator). When the
+     * household repays student loans on an income-driven plan, the payments are added to
+     * the cost of each status: a joint return counts both incomes, while separate returns
+     * count only the borrower's. Returns null unless the household's status covers a
+     * married couple; members filing their own returns are counted as they file.
+     * @param {Object} calculations - the scenario's calculations, reused for its own filing status
+     *   and for income-based loan splits
+     */
+    compareFilingStatus(scenario, calculations = this.calculateScenario(scenario)) {
+        const statuses = ['marriedFilingJointly', 'marriedFilingSeparately'];
+        const couple = this.getHouseholdFilers(scenario);
+        if (couple.length !== 2 || !statuses.includes(scenario.household.filingStatus)) {
+            return null;
+        }
+
+        const loanPayments = this.getStudentLoanPayments(scenario, calculations);
+        const coupleLoanPayments = loanPayments[couple[0]] + loanPayments[couple[1]];
+        const familySize = 2 + (scenario.household.dependents || []).length;
+        const incomeDriven = scenario.household.studentLoanRepayment === 'incomeDriven';
+
+        const results = {};
+        for (const filingStatus of statuses) {
+            const modified = JSON.parse(JSON.stringify(scenario));
+            modified.household.filingStatus = filingStatus;
+            const statusCalculations = filingStatus === scenario.household.filingStatus
+                ? calculations : this.calculateScenario(modified);
+            const { household } = statusCalculations;
+
+            const incomeDrivenPayment = filingStatus === 'marriedFilingJointly'
+                ? this.calculateIncomeDrivenRepayment(household.jointReturn.adjustedIncome, familySize, coupleLoanPayments)
+                : couple.reduce((sum, member) => sum + this.calculateIncomeDrivenRepayment(
+                    statusCalculations[member].adjustedIncome, familySize, loanPayments[member]
+                ), 0);
+            const monthlyStudentLoanPayment = incomeDriven ? incomeDrivenPayment : coupleLoanPayments;
+
+            results[filingStatus] = {
+                totalTaxes: Math.round(household.totalTaxes * 100) / 100,
+                netIncome: Math.round(household.netIncome * 100) / 100,
+                federalDeductionMethod: household.deductions.federal ? household.deductions.federal.method : null,
+                credits: household.credits.total,
+                incomeDrivenPayment: Math.round(incomeDrivenPayment * 100) / 100,
+                monthlyStudentLoanPayment: Math.round(monthlyStudentLoanPayment * 100) / 100,
+                totalCost: Math.round((household.totalTaxes + monthlyStudentLoanPayment * 12) * 100) / 100
+            };
+        }
+
+        const joint = results.marriedFilingJointly;
+        const separate = results.marriedFilingSeparately;
+        return {
+            ...results,
+            studentLoanRepayment: incomeDriven ? 'incomeDriven' : 'standard',
+            recommended: separate.totalCost < joint.totalCost ? 'marriedFilingSeparately' : 'marriedFilingJointly',
+            taxDifference: Math.round(Math.abs(separate.totalTaxes - joint.totalTaxes) * 100) / 100,
+            savings: Math.round(Math.abs(separate.totalCost - joint.totalCost) * 100) / 100
+        };
+    }
+
+    /**
+     * Get each member's monthly student loan payments from the budget (shared loans split
+     * as allocateExpenses splits them)
+     * @param {Object} memberCalcs - calculations keyed by member, for income-based splits
+     */
+    getStudentLoanPayments(scenario, memberCalcs) {
+        const debt = scenario.expenses?.ramitCategories?.fixedCosts?.debt || {};
+        const members = this.getMembers(scenario);
+        const payments = Object.fromEntries(members.map(member => [member, 0]));
+
+        Object.entries(debt)
+            .filter(([key, item]) => key.startsWith('studentLoan') && item && item.amount)
+            .forEach(([, item]) => {
+                const monthly = this.getMonthlyAmount(item);
+                const fractions = this.getExpenseItemFractions(scenario, item, memberCalcs);
+                members.forEach(member => { payments[member] += monthly * fractions[member]; });
+            });
+
+        return payments;
+    }
+
+    /**
+     * Monthly income-driven student loan payment, capped at the standard payment
+     */
+    calculateIncomeDrivenRepayment(adjustedIncome, familySize, standardPayment) {
+        const { paymentRate, povertyLineMultiple, povertyGuideline } = this.incomeDrivenRepayment;
+        const povertyLine = povertyGuideline.base + povertyGuideline.perAdditionalPerson * Math.max(0, familySize - 1);
+        const discretionaryIncome = Math.max(0, adjustedIncome - povertyLine * povertyLineMultiple);
+
+        return Math.min(standardPayment, discretionaryIncome * paymentRate / 12);
+    }
+
+    /**
+     * Calculate individual person's take-home pay
+     */
+    calculatePersonIncome(person, scenario, taxOptions = this.getTaxOptions(scenario), filingStatus = scenario.household.filingStatus) {
+        if (!person) return this.getEmptyPersonCalculation();
+
+        const { grossIncome, preTaxDeductionsByType, selfEmploymentIncome, isoExerciseSpread, workState } = this.getPersonTaxInputs(person);
+
         // Use tax calculator for comprehensive tax calculation
         const taxResult = this.taxCalc.calculateAllTaxes(
             grossIncome,
-            preTexDeductions,
-            scenario.household.filingStatus,
-            scenario.household.location.state
+            preTaxDeductionsByType,
+            filingStatus,
+            scenario.household.location.state,
+            { ...taxOptions, selfEmploymentIncome, isoExerciseSpread, workState }
+        );
+
+        return this.buildPersonCalculation(person, taxResult);
+    }
+
+    /**
+     * Get scenario-level options for the tax engine
+     * The household's itemized deductions and investment income are split evenly across the
+     * members filing under the household's status; only dependents claimed by (by default,
+     * the first member) someone on the return count
+     * @param {Array<string>} returnMembers - members on the return
+     */
+    getTaxOptions(scenario, returnMembers = this.getMembers(scenario)) {
+        const itemized = scenario.household.itemizedDeductions || {};
+        const investments = scenario.household.investmentIncome || {};
+        const householdFilers = this.getHouseholdFilers(scenario);
+        const share = householdFilers.filter(member => returnMembers.includes(member)).length / Math.max(1, householdFilers.length);
+        const split = (amounts) => Object.fromEntries(
+            Object.entries(amounts).map(([key, amount]) => [key, (amount || 0) * share])
         );
+        const [firstMember] = this.getMembers(scenario);
+        const dependents = (scenario.household.dependents || [])
+            .filter(dependent => returnMembers.includes(dependent.claimedBy || firstMember));
+
+        return {
+            locality: scenario.household.location.locality || null,
+            residency: this.getResidency(scenario),
+            itemizedDeductions: split(itemized),
+            investments: split(investments),
+            dependents
+        };
+    }
+
+    /**
+     * Get the share of the tax year the household lived in each state
+     * `household.residencyPeriods` lists dated stays ({ state, startDate, endDate }, inclusive);
+     * days they don't cover are spent in the home state (`household.location.state`)
+     * @returns {Array<{state: string, fraction: number}>}
+     */
+    getResidency(scenario) {
+        const { location, residencyPeriods = [] } = scenario.household;
+        const taxYear = Number(scenario.household.taxYear || this.taxCalc.federalTaxTables.defaultYear);
+        const dayMs = 24 * 60 * 60 * 1000;
+        const yearStart = Date.UTC(taxYear, 0, 1);
+        const yearEnd = Date.UTC(taxYear, 11, 31);
+        const daysInYear = (yearEnd - yearStart) / dayMs + 1;
+
+        const days = {};
+        let covered = 0;
+        residencyPeriods.forEach(period => {
+            const start = Math.max(yearStart, Date.parse(period.startDate));
+            const end = Math.min(yearEnd, Date.parse(period.endDate));
+            if (!period.state || isNaN(start) || isNaN(end) || end < start) return;
+
+            const periodDays = Math.min((end - start) / dayMs + 1, daysInYear - covered);
+            days[period.state] = (days[period.state] || 0) + periodDays;
+            covered += periodDays;
+        });
+        days[location.state] = (days[location.state] || 0) + (daysInYear - covered);
+
+        return Object.entries(days)
+            .filter(([, stateDays]) => stateDays > 0)
+            .map(([state, stateDays]) => ({ state, fraction: stateDays / daysInYear }));
+    }
+
+    /**
+     * Total each state's income tax across the household's returns, by state
+     */
+    summarizeStateTaxes(returns) {
+        const byState = {};
+
+        returns.forEach(taxReturn => (taxReturn.stateTaxes || []).forEach(entry => {
+            const total = byState[entry.state] || (byState[entry.state] = {
+                state: entry.state, residentFraction: entry.residentFraction, sourceIncome: 0, creditForOtherStates: 0, tax: 0
+            });
+            total.sourceIncome += entry.sourceIncome;
+            total.creditForOtherStates += entry.creditForOtherStates;
+            total.tax += entry.tax;
+        }));
+
+        return Object.values(byState).map(entry => ({
+            ...entry,
+            sourceIncome: Math.round(entry.sourceIncome * 100) / 100,
+            creditForOtherStates: Math.round(entry.creditForOtherStates * 100) / 100,
+            tax: Math.round(entry.tax * 100) / 100
+        }));
+    }
+
+    /**
+     * Total the federal and state credits claimed across the household's returns
+     */
+    summarizeCredits(returns) {
+        const sum = (field) => Math.round(returns.reduce((total, taxReturn) => total + (taxReturn[field] ? taxReturn[field].total : 0), 0) * 100) / 100;
+
+        const federal = sum('federalCredits');
+        const state = sum('stateCredits');
+        return { federal, state, total: Math.round((federal + state) * 100) / 100 };
+    }
+
+    /**
+     * Summarize the deduction each return chose, federal and state, plus the QBI deduction
+     * Several returns add their amounts; the method reads 'mixed' when they differ
+     */
+    summarizeDeductions(returns, jointReturn = null) {
+        if (jointReturn && returns.length === 1) {
+            return { federal: jointReturn.federalDeduction, state: jointReturn.stateDeduction, qbi: jointReturn.qbiDeduction };
+        }
+
+        const combine = (deductions) => {
+            const filed = deductions.filter(Boolean);
+            if (filed.length === 0) return null;
+
+            const methods = [...new Set(filed.map(deduction => deduction.method))];
+            const sum = (field) => Math.round(filed.reduce((total, deduction) => total + (deduction[field] || 0), 0) * 100) / 100;
+            return {
+                method: methods.length === 1 ? methods[0] : 'mixed',
+                standard: sum('standard'),
+                itemized: sum('itemized'),
+                amount: sum('amount'),
+                taxSavings: sum('taxSavings')
+            };
+        };
+
+        return {
+            federal: combine(returns.map(taxReturn => taxReturn.federalDeduction)),
+            state: combine(returns.map(taxReturn => taxReturn.stateDeduction)),
+            qbi: Math.round(returns.reduce((total, taxReturn) => total + (taxReturn.qbiDeduction || 0), 0) * 100) / 100
+        };
+    }
+
+    /**
+     * Calculate a joint return and allocate it to each spouse on it
+     */
+    calculateJointIncome(scenario, members = this.getMembers(scenario)) {
+        const { location } = scenario.household;
+        const filingStatus = 'marriedFilingJointly';
+        const inputs = members.map(member => this.getPersonTaxInputs(scenario.income[member]));
+
+        const taxOptions = this.getTaxOptions(scenario, members);
+        const jointReturn = this.taxCalc.calculateJointReturn(
+            inputs.map(input => ({
+                grossIncome: input.grossIncome,
+                preTexDeductions: input.preTaxDeductionsByType,
+                selfEmploymentIncome: input.selfEmploymentIncome,
+                isoExerciseSpread: input.isoExerciseSpread,
+                workState: input.workState
+            })),
+            filingStatus,
+            location.state,
+            taxOptions
+        );
+        const method = scenario.household.jointTaxAllocation || 'proRata';
+        const shares = this.calculateJointTaxShares(inputs, jointReturn, method, filingStatus, location.state, taxOptions);
+
+        // Jointly held investments are split evenly, as they are across separate returns
+        const investmentIncome = Object.fromEntries(
+            Object.entries(jointReturn.investmentIncome).map(([key, amount]) => [key, amount / members.length])
+        );
+
+        const result = { jointReturn };
+        members.forEach((member, index) => {
+            const person = scenario.income[member];
+            const { grossIncome, preTexDeductions, selfEmploymentIncome } = inputs[index];
+            const federalTax = jointReturn.federalTax * shares[index];
+            const stateTax = jointReturn.stateTax * shares[index];
+            const localTax = jointReturn.localTax * shares[index];
+            const fica = jointReturn.ficaByPerson[index];
+            const statePayrollTaxes = jointReturn.statePayrollTaxesByPerson[index];
+            const totalTax = federalTax + stateTax + localTax + fica.total + statePayrollTaxes.total;
+            const totalIncome = grossIncome + selfEmploymentIncome + investmentIncome.total;
+            const netIncome = totalIncome - preTexDeductions - totalTax;
+
+            result[member] = this.buildPersonCalculation(person, {
+                grossIncome,
+                preTexDeductions,
+                adjustedIncome: null, // One AGI for the joint return (household.adjustedIncome)
+                selfEmploymentIncome,
+                selfEmploymentTax: jointReturn.selfEmploymentTaxByPerson[index],
+                investmentIncome,
+                netInvestmentIncomeTax: jointReturn.netInvestmentIncomeTax * shares[index],
+                alternativeMinimumTax: {
+                    ...jointReturn.alternativeMinimumTax,
+                    tentativeMinimumTax: null, // Figured once for the joint return
+                    amount: jointReturn.alternativeMinimumTax.amount * shares[index]
+                },
+                qbiDeduction: jointReturn.qbiDeduction,
+                federalTax,
+                stateTax,
+                localTax,
+                localTaxJurisdiction: jointReturn.localTaxJurisdiction,
+                federalDeduction: jointReturn.federalDeduction,
+                stateDeduction: jointReturn.stateDeduction,
+                federalCredits: jointReturn.federalCredits,
+                stateCredits: jointReturn.stateCredits,
+                fica,
+                statePayrollTaxes,
+                totalTax,
+                netIncome,
+                effectiveRate: this.taxCalc.calculateEffectiveRate(totalTax, totalIncome),
+                marginalRate: jointReturn.marginalRate
+            }, shares[index]);
+        });
+
+        return result;
+    }
+
+    /**
+     * Split a joint income tax liability (federal, state and local) between partners
+     * - proRata: by each partner's share of income (wages plus business profit) after pre-tax deductions
+     * - marginal: by the tax each partner's income adds on top of the other's
+     */
+    calculateJointTaxShares(inputs, jointReturn, method, filingStatus, state, taxOptions = {}) {
+        const equalShares = inputs.map(() => 1 / inputs.length);
+        let weights;
+
+        switch (method) {
+            case 'proRata':
+                weights = inputs.map(input => Math.max(0, input.grossIncome + input.selfEmploymentIncome - input.preTexDeductions));
+                break;
+
+            case 'marginal':
+                weights = inputs.map((input, index) => {
+                    const others = inputs.filter((_, otherIndex) => otherIndex !== index);
+                    const withoutPerson = this.taxCalc.calculateIncomeTaxes(
+                        others.reduce((sum, other) => sum + other.grossIncome, 0),
+                        this.taxCalc.combinePreTaxDeductions(others.map(other => other.preTaxDeductionsByType)),
+                        filingStatus,
+                        state,
+                        {
+                            ...taxOptions,
+                            selfEmploymentIncome: others.reduce((sum, other) => sum + other.selfEmploymentIncome, 0),
+                            isoExerciseSpread: others.reduce((sum, other) => sum + other.isoExerciseSpread, 0),
+                            workStates: this.taxCalc.getWorkStateWages(others.map(other => ({
+                                grossIncome: other.grossIncome,
+                                preTexDeductions: other.preTaxDeductionsByType,
+                                workState: other.workState
+                            })))
+                        }
+                    );
+                    return Math.max(0, jointReturn.incomeTax - withoutPerson.incomeTax);
+                });
+                break;
+
+            default:
+                throw new Error(`Unknown joint tax allocation method: ${method}`);
+        }
+
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        return totalWeight > 0 ? weights.map(weight => weight / totalWeight) : equalShares;
+    }
+
+    /**
+     * Build the per-person calculation from a tax result
+     */
+    buildPersonCalculation(person, taxResult, jointTaxShare = null) {
+        // Roth and after-tax 401(k) contributions are taxed like pay but leave the paycheck
+        const afterTaxDeductions = person.afterTaxDeductions
+            ? Object.values(person.afterTaxDeductions).reduce((sum, amount) => sum + (amount || 0), 0) : 0;
+        const takeHome = taxResult.netIncome - afterTaxDeductions;
+        const investmentIncome = taxResult.investmentIncome ? taxResult.investmentIncome.total : 0;
 
         return {
             name: person.name || 'Unknown',
-            gross: grossIncome,
-            preTexDeductions,
+            gross: taxResult.grossIncome + (taxResult.selfEmploymentIncome || 0) + investmentIncome,
+            preTexDeductions: taxResult.preTexDeductions,
+            adjustedIncome: taxResult.adjustedIncome !== undefined ? taxResult.adjustedIncome : null,
+            selfEmploymentIncome: taxResult.selfEmploymentIncome || 0,
+            selfEmploymentTax: taxResult.selfEmploymentTax || null,
+            investmentIncome,
+            netInvestmentIncomeTax: taxResult.netInvestmentIncomeTax || 0,
+            alternativeMinimumTax: taxResult.alternativeMinimumTax ? taxResult.alternativeMinimumTax.amount : 0,
+            tentativeMinimumTax: taxResult.alternativeMinimumTax ? taxResult.alternativeMinimumTax.tentativeMinimumTax : 0,
+            qbiDeduction: taxResult.qbiDeduction || 0,
             federalTax: taxResult.federalTax,
             stateTax: taxResult.stateTax,
+            stateTaxes: taxResult.stateTaxes || null,
+            localTax: taxResult.localTax || 0,
+            localTaxJurisdiction: taxResult.localTaxJurisdiction || null,
+            federalDeduction: taxResult.federalDeduction || null,
+            stateDeduction: taxResult.stateDeduction || null,
+            federalCredits: taxResult.federalCredits || null,
+            stateCredits: taxResult.stateCredits || null,
             fica: taxResult.fica,
+            statePayrollTaxes: taxResult.statePayrollTaxes || { taxes: [], total: 0 },
             totalTax: taxResult.totalTax,
-            netAnnual: taxResult.netIncome,
-            monthlyNet: taxResult.netIncome / 12,
+            afterTaxDeductions,
+            retirementContributions: this.getRetirementContributions(person),
+            netAnnual: takeHome,
+            monthlyNet: takeHome / 12,
             effectiveRate: taxResult.effectiveRate,
             marginalRate: taxResult.marginalRate,
-            biweeklyNet: this.calculateBiweeklyPay(taxResult.netIncome, person.payFrequency)
+            jointTaxShare,
+            biweeklyNet: this.calculateBiweeklyPay(takeHome, person.payFrequency)
         };
     }
 
@@ -103,8 +891,9 @@ class HouseholdCalculator {
 
     /**
      * Calculate household expenses
+     * @param {number} [year] - calendar year for the month-by-month schedule
      */
-    calculateHouseholdExpenses(expenses) {
+    calculateHouseholdExpenses(expenses, year = null) {
         const categories = expenses.ramitCategories;
         const breakdown = {
             fixedCosts: this.calculateCategoryTotal(categories.fixedCosts),
@@ -115,49 +904,384 @@ class HouseholdCalculator {
 
         const total = Object.values(breakdown).reduce((sum, amount) => sum + amount, 0);
 
+        // What's actually paid each month, with quarterly, annual and one-time items in their due months
+        const schedule = new Array(12).fill(0);
+        Object.values(categories).forEach(category => this.forEachExpenseItem(category, (item) => {
+            this.getPaymentSchedule(item, year).forEach((amount, month) => { schedule[month] += amount; });
+        }));
+
         return {
             breakdown,
             total,
             monthly: total,
-            annual: total * 12
+            annual: total * 12,
+            schedule
         };
     }
 
     /**
-     * Calculate category total with person filtering
+     * Get an expense item's average monthly cost; items without a frequency are monthly
+     * and one-time items cost nothing from month to month
      */
-    calculateCategoryTotal(category, person = null) {
+    getMonthlyAmount(item) {
+        const frequency = item.frequency || 'monthly';
+        const paymentsPerYear = this.expenseFrequencies[frequency];
+        if (paymentsPerYear === undefined) {
+            throw new Error(`Unknown expense frequency: ${frequency}`);
+        }
+        return (item.amount || 0) * paymentsPerYear / 12;
+    }
+
+    /**
+     * Get what an expense item costs in each month of the year (index 0 is January)
+     * Weekly items are spread evenly, or by the days in each month of `year` when given;
+     * quarterly items fall every third month from their dueMonth (1-12, default January),
+     * annual items in dueMonth, and one-time items in dueMonth only when their dueYear is
+     * `year` (items without a dueYear fall in any year).
+     */
+    getPaymentSchedule(item, year = null) {
+        const frequency = item.frequency || 'monthly';
+        const dueIndex = ((item.dueMonth || 1) - 1) % 12;
+        const amount = item.amount || 0;
+
+        switch (frequency) {
+            case 'weekly':
+                if (year) {
+                    const daysInYear = (Date.UTC(year + 1, 0, 1) - Date.UTC(year, 0, 1)) / 86400000;
+                    return Array.from({ length: 12 }, (_, month) =>
+                        amount * this.expenseFrequencies.weekly * new Date(Date.UTC(year, month + 1, 0)).getUTCDate() / daysInYear);
+                }
+                return new Array(12).fill(this.getMonthlyAmount(item));
+
+            case 'monthly':
+                return new Array(12).fill(this.getMonthlyAmount(item));
+
+            case 'quarterly':
+                return Array.from({ length: 12 }, (_, month) => (month - dueIndex + 12) % 3 === 0 ? amount : 0);
+
+            case 'annual':
+                return Array.from({ length: 12 }, (_, month) => month === dueIndex ? amount : 0);
+
+            case 'oneTime': {
+                const due = !item.dueYear || !year || item.dueYear === year;
+                return Array.from({ length: 12 }, (_, month) => due && month === dueIndex ? amount : 0);
+            }
+
+            default:
+                throw new Error(`Unknown expense frequency: ${frequency}`);
+        }
+    }
+
+    /**
+     * Project the household's cash month by month through the tax year
+     * Paychecks land in the months they're paid, so biweekly pay has three-check months,
+     * the bonus arrives in its month and take-home rises once Social Security's wage base
+     * is reached. Expenses and estimated taxes land in the months they're due. Other income,
+     * self-employment profit and investment income are spread evenly, before tax. What's left
+     * to settle after the year ends isn't in the months: `estimatedTaxesDueNextYear` is the
+     * January fourth-quarter payment and `filingSettlement` the refund (positive) or balance
+     * due (negative) when the return is filed; `balanceAfterFiling` counts both.
+     * @param {Object} memberCalcs - calculations keyed by member
+     * @param {number[]} expenseSchedule - expenses paid in each month (calculateHouseholdExpenses().schedule)
+     * @returns {Object} { startingBalance, months: [{ month, paychecks, paycheckIncome, otherIncome,
+     *   income, expenses, estimatedTaxes, netCashFlow, balance }], endingBalance, lowestBalance,
+     *   estimatedTaxesDueNextYear, filingSettlement, balanceAfterFiling }
+     */
+    calculateCashFlow(scenario, memberCalcs, withholding, estimatedTaxes, expenseSchedule) {
+        const round = (amount) => Math.round(amount * 100) / 100;
+        const paychecks = new Array(12).fill(0);
+        const paycheckIncome = new Array(12).fill(0);
+        const members = this.getMembers(scenario);
+
+        if (withholding) {
+            members.forEach(member => {
+                (withholding[member] ? withholding[member].stubs : []).forEach(stub => {
+                    if (stub.type === 'regular') paychecks[stub.month - 1]++;
+                    paycheckIncome[stub.month - 1] += stub.net;
+                });
+            });
+        }
+
+        const estimatedTaxOutflows = estimatedTaxes ? estimatedTaxes.monthlyOutflows : new Array(12).fill(0);
+        const annualEstimatedPayments = estimatedTaxes ? estimatedTaxes.annualEstimatedPayments : 0;
+        // Other income pays the payroll taxes the paychecks don't withhold; without simulated
+        // paychecks, take-home pay is spread evenly instead
+        const otherIncome = members.reduce((sum, member) => {
+            const calc = memberCalcs[member];
+            if (!withholding) return sum + calc.netAnnual;
+
+            const withheld = withholding[member].totals;
+            const unwithheldPayrollTaxes = Math.max(0, (calc.fica ? calc.fica.socialSecurity + calc.fica.medicare : 0)
+                + calc.statePayrollTaxes.total - withheld.socialSecurity - withheld.medicare - withheld.statePayrollTax);
+            return sum + (scenario.income[member].otherIncome || 0) + calc.selfEmploymentIncome + calc.investmentIncome
+                - unwithheldPayrollTaxes;
+        }, 0) / 12;
+        const estimatedTaxesDueNextYear = estimatedTaxes ? estimatedTaxes.dueNextYear : 0;
+        const filingSettlement = withholding ? round(withholding.household.difference + annualEstimatedPayments) : 0;
+
+        const startingBalance = scenario.household.checkingBalance || 0;
+        let balance = startingBalance;
+        const months = paycheckIncome.map((paid, index) => {
+            const income = paid + otherIncome;
+            const netCashFlow = income - expenseSchedule[index] - estimatedTaxOutflows[index];
+            balance += netCashFlow;
+            return {
+                month: index + 1,
+                paychecks: paychecks[index],
+                paycheckIncome: round(paid),
+                otherIncome: round(otherIncome),
+                income: round(income),
+                expenses: round(expenseSchedule[index]),
+                estimatedTaxes: round(estimatedTaxOutflows[index]),
+                netCashFlow: round(netCashFlow),
+                balance: round(balance)
+            };
+        });
+
+        return {
+            startingBalance,
+            months,
+            endingBalance: round(balance),
+            lowestBalance: Math.min(startingBalance, ...months.map(month => month.balance)),
+            estimatedTaxesDueNextYear,
+            filingSettlement,
+            balanceAfterFiling: round(balance - estimatedTaxesDueNextYear + filingSettlement)
+        };
+    }
+
+    /**
+     * Calculate a category's monthly total
+     * Each member's share comes from allocateExpenses()
+     */
+    calculateCategoryTotal(category) {
         let total = 0;
-        
-        const processItem = (item) => {
+
+        this.forEachExpenseItem(category, (item) => {
             if (item.amount) {
-                if (!person) {
-                    // Calculate total for all
-                    total += item.amount;
-                } else if (item.assignedTo === person) {
-                    // Calculate for specific person
-                    total += item.amount;
-                } else if (item.assignedTo === 'shared' && person) {
-                    // Split shared expenses for person view
-                    total += item.amount / 2;
+                total += this.getMonthlyAmount(item);
+            }
+        });
+
+        return total;
+    }
+
+    /**
+     * Call back with every expense item ({ amount, assignedTo, frequency, dueMonth }) in a
+     * category and its subcategories
+     */
+    forEachExpenseItem(category, callback) {
+        for (const key in category) {
+            if (category[key] && typeof category[key] === 'object') {
+                if (category[key].amount !== undefined) {
+                    callback(category[key]);
+                } else {
+                    this.forEachExpenseItem(category[key], callback);
                 }
             }
-        };
+        }
+    }
+
+    /**
+     * Split the budget into each member's monthly share, by category
+     * Items assigned to a member are theirs. Shared items follow their own `split`, or
+     * else the household's `expenseSplit`, which applies to those items' combined total
+     * (a member covering "up to X" covers X across all of them).
+     * @param {Object} memberCalcs - calculations keyed by member, for income-based splits
+     * @returns {Object} keyed by member: { fixedCosts, investments, savings, guiltFreeSpending, total,
+     *   shared } where shared is the part of total that comes from shared items
+     */
+    allocateExpenses(scenario, memberCalcs) {
+        const members = this.getMembers(scenario);
+        const categoryNames = ['fixedCosts', 'investments', 'savings', 'guiltFreeSpending'];
+        const categories = scenario.expenses.ramitCategories;
+        const shares = Object.fromEntries(members.map(member => [member, Object.fromEntries(categoryNames.map(name => [name, 0]))]));
+        const pooled = Object.fromEntries(categoryNames.map(name => [name, 0]));
+        const sharedTotals = Object.fromEntries(members.map(member => [member, 0]));
+        const assign = (categoryName, amount, fractions) => members.forEach(member => {
+            shares[member][categoryName] += amount * fractions[member];
+            sharedTotals[member] += amount * fractions[member];
+        });
+
+        categoryNames.forEach(categoryName => this.forEachExpenseItem(categories[categoryName], (item) => {
+            if (!item.amount) return;
+
+            const monthly = this.getMonthlyAmount(item);
+            if (shares[item.assignedTo]) {
+                shares[item.assignedTo][categoryName] += monthly;
+            } else if (item.split) {
+                assign(categoryName, monthly, this.getSplitFractions(item.split, monthly, members, memberCalcs));
+            } else {
+                pooled[categoryName] += monthly;
+            }
+        }));
 
-        const traverseCategory = (cat) => {
-            for (const key in cat) {
-                if (cat[key] && typeof cat[key] === 'object') {
-                    if (cat[key].amount !== undefined) {
-                        processItem(cat[key]);
-                    } else {
-                        traverseCategory(cat[key]);
-                    }
+        const fractions = this.getPooledSplitFractions(scenario, memberCalcs);
+        categoryNames.forEach(name => assign(name, pooled[name], fractions));
+
+        members.forEach(member => {
+            shares[member].total = categoryNames.reduce((sum, name) => sum + shares[member][name], 0);
+            shares[member].shared = sharedTotals[member];
+        });
+        return shares;
+    }
+
+    /**
+     * Get the fraction of one expense item each member pays, as allocateExpenses() splits it
+     */
+    getExpenseItemFractions(scenario, item, memberCalcs) {
+        const members = this.getMembers(scenario);
+        if (members.includes(item.assignedTo)) {
+            return Object.fromEntries(members.map(member => [member, member === item.assignedTo ? 1 : 0]));
+        }
+        return item.split
+            ? this.getSplitFractions(item.split, this.getMonthlyAmount(item), members, memberCalcs)
+            : this.getPooledSplitFractions(scenario, memberCalcs);
+    }
+
+    /**
+     * Get the fractions the household's `expenseSplit` gives each member of the shared
+     * items without their own split, applied to those items' combined monthly total
+     */
+    getPooledSplitFractions(scenario, memberCalcs) {
+        const members = this.getMembers(scenario);
+        const categories = scenario.expenses.ramitCategories;
+        let pooledTotal = 0;
+        ['fixedCosts', 'investments', 'savings', 'guiltFreeSpending'].forEach(categoryName =>
+            this.forEachExpenseItem(categories[categoryName], (item) => {
+                if (item.amount && !members.includes(item.assignedTo) && !item.split) {
+                    pooledTotal += this.getMonthlyAmount(item);
                 }
+            }));
+
+        return this.getSplitFractions(scenario.household.expenseSplit || { method: 'equal' }, pooledTotal, members, memberCalcs);
+    }
+
+    /**
+     * Work out what each member moves into the joint account to cover their share of the
+     * shared items, per month and per paycheck
+     * @returns {Object} keyed by member: { monthly, perPaycheck, payFrequency }
+     */
+    calculateJointAccountTransfers(scenario, expenseShares) {
+        return Object.fromEntries(this.getMembers(scenario).map(member => {
+            const monthly = expenseShares[member].shared;
+            const payFrequency = scenario.income[member].payFrequency || 'biweekly';
+            return [member, {
+                monthly: Math.round(monthly * 100) / 100,
+                perPaycheck: Math.round(this.calculateBiweeklyPay(monthly * 12, payFrequency) * 100) / 100,
+                payFrequency
+            }];
+        }));
+    }
+
+    /**
+     * Balance the shared payments ledger (household.sharedPayments) and suggest transfers to settle it
+     * A payment with no paidTo is a shared bill, owed by each member in proportion to their
+     * share of the shared budget. A payment with paidTo is money sent between members.
+     * @returns {Object} { shares: fraction owed by member, balances: { paid, owed, balance } by member
+     *   (a positive balance is owed money), transfers: [{ from, to, amount }] }
+     */
+    calculateSettleUp(scenario, expenseShares) {
+        const members = this.getMembers(scenario);
+        const sharedTotal = members.reduce((sum, member) => sum + expenseShares[member].shared, 0);
+        const shares = Object.fromEntries(members.map(member => [
+            member, sharedTotal > 0 ? expenseShares[member].shared / sharedTotal : 1 / members.length
+        ]));
+        const balances = Object.fromEntries(members.map(member => [member, { paid: 0, owed: 0, balance: 0 }]));
+
+        (scenario.household.sharedPayments || []).forEach(payment => {
+            if (!balances[payment.paidBy] || !(payment.amount > 0)) return;
+
+            balances[payment.paidBy].paid += payment.amount;
+            if (balances[payment.paidTo]) {
+                balances[payment.paidTo].owed += payment.amount;
+            } else {
+                members.forEach(member => { balances[member].owed += payment.amount * shares[member]; });
             }
+        });
+
+        members.forEach(member => {
+            const balance = balances[member];
+            balance.paid = Math.round(balance.paid * 100) / 100;
+            balance.owed = Math.round(balance.owed * 100) / 100;
+            balance.balance = Math.round((balance.paid - balance.owed) * 100) / 100;
+        });
+
+        return { shares, balances, transfers: this.suggestSettleUpTransfers(balances) };
+    }
+
+    /**
+     * Suggest the transfers that bring every balance to zero, paying the largest balance owed
+     * from the largest debt first so no member sends or receives more than they need to
+     */
+    suggestSettleUpTransfers(balances) {
+        const toCents = (amount) => Math.round(amount * 100);
+        const creditors = Object.entries(balances)
+            .filter(([, { balance }]) => toCents(balance) > 0)
+            .map(([member, { balance }]) => ({ member, cents: toCents(balance) }));
+        const debtors = Object.entries(balances)
+            .filter(([, { balance }]) => toCents(balance) < 0)
+            .map(([member, { balance }]) => ({ member, cents: -toCents(balance) }));
+        const transfers = [];
+
+        while (creditors.length > 0 && debtors.length > 0) {
+            creditors.sort((a, b) => b.cents - a.cents);
+            debtors.sort((a, b) => b.cents - a.cents);
+            const creditor = creditors[0];
+            const debtor = debtors[0];
+            const cents = Math.min(creditor.cents, debtor.cents);
+
+            transfers.push({ from: debtor.member, to: creditor.member, amount: cents / 100 });
+            creditor.cents -= cents;
+            debtor.cents -= cents;
+            if (creditor.cents === 0) creditors.shift();
+            if (debtor.cents === 0) debtors.shift();
+        }
+
+        return transfers;
+    }
+
+    /**
+     * Get the fraction of a shared amount each member pays under a split policy
+     * - equal: evenly
+     * - grossIncome / netIncome: in proportion to gross income or take-home pay
+     * - fixed: by `shares` (percentages keyed by member)
+     * - coverUpTo: `coveredBy` pays up to `coverLimit` a month; the others split the rest evenly
+     * Income and fixed splits fall back to equal when every weight is zero.
+     */
+    getSplitFractions(split, amount, members, memberCalcs) {
+        const equal = Object.fromEntries(members.map(member => [member, 1 / members.length]));
+        const weighted = (weights) => {
+            const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+            return totalWeight > 0
+                ? Object.fromEntries(members.map((member, index) => [member, weights[index] / totalWeight]))
+                : equal;
         };
 
-        traverseCategory(category);
-        return total;
+        switch (split.method || 'equal') {
+            case 'equal':
+                return equal;
+
+            case 'grossIncome':
+                return weighted(members.map(member => Math.max(0, memberCalcs[member].gross)));
+
+            case 'netIncome':
+                return weighted(members.map(member => Math.max(0, memberCalcs[member].netAnnual)));
+
+            case 'fixed':
+                return weighted(members.map(member => Math.max(0, (split.shares || {})[member] || 0)));
+
+            case 'coverUpTo': {
+                const payer = members.includes(split.coveredBy) ? split.coveredBy : members[0];
+                const others = members.filter(member => member !== payer);
+                const payerFraction = others.length > 0 && amount > 0 ? Math.min(1, (split.coverLimit || 0) / amount) : 1;
+                return Object.fromEntries(members.map(member => [
+                    member, member === payer ? payerFraction : (1 - payerFraction) / others.length
+                ]));
+            }
+
+            default:
+                throw new Error(`Unknown expense split method: ${split.method}`);
+        }
     }
 
     /**
@@ -199,8 +1323,8 @@ class HouseholdCalculator {
     /**
      * Calculate summary metrics
      */
-    calculateSummaryMetrics(person1Calc, person2Calc, householdExpenses) {
-        const totalNetIncome = person1Calc.netAnnual + person2Calc.netAnnual;
+    calculateSummaryMetrics(memberCalcs, householdExpenses) {
+        const totalNetIncome = memberCalcs.reduce((sum, calc) => sum + calc.netAnnual, 0);
         const monthlyNetIncome = totalNetIncome / 12;
         const monthlyExpenses = householdExpenses.total;
         const monthlySurplus = monthlyNetIncome - monthlyExpenses;
@@ -276,13 +1400,9 @@ class HouseholdCalculator {
         const personCalc = this.calculations[person];
         if (!personCalc) return null;
         
-        // Calculate person-specific expenses
-        const personExpenses = {
-            fixedCosts: this.calculateCategoryTotal(this.currentScenario.expenses.ramitCategories.fixedCosts, person),
-            investments: this.calculateCategoryTotal(this.currentScenario.expenses.ramitCategories.investments, person),
-            savings: this.calculateCategoryTotal(this.currentScenario.expenses.ramitCategories.savings, person),
-            guiltFreeSpending: this.calculateCategoryTotal(this.currentScenario.expenses.ramitCategories.guiltFreeSpending, person)
-        };
+        // Person-specific expenses, with shared items split by the household's policy
+        const { fixedCosts, investments, savings, guiltFreeSpending } = this.calculations.expenseShares[person];
+        const personExpenses = { fixedCosts, investments, savings, guiltFreeSpending };
         
         const totalPersonExpenses = Object.values(personExpenses).reduce((sum, amount) => sum + amount, 0);
         const personSurplus = personCalc.monthlyNet - totalPersonExpenses;
@@ -291,7 +1411,14 @@ class HouseholdCalculator {
             income: personCalc,
             expenses: personExpenses,
             totalExpenses: totalPersonExpenses,
+            sharedExpenses: this.calculations.expenseShares[person].shared,
             surplus: personSurplus,
+            jointAccount: this.calculations.jointAccount[person],
+            settleUp: {
+                ...this.calculations.settleUp.balances[person],
+                transfers: this.calculations.settleUp.transfers
+                    .filter(transfer => transfer.from === person || transfer.to === person)
+            },
             ramitBreakdown: this.calculatePersonRamitBreakdown(personExpenses, personCalc.monthlyNet)
         };
     }
@@ -328,14 +1455,33 @@ class HouseholdCalculator {
             name: '',
             gross: 0,
             preTexDeductions: 0,
+            adjustedIncome: 0,
+            selfEmploymentIncome: 0,
+            selfEmploymentTax: null,
+            investmentIncome: 0,
+            netInvestmentIncomeTax: 0,
+            alternativeMinimumTax: 0,
+            tentativeMinimumTax: 0,
+            qbiDeduction: 0,
             federalTax: 0,
             stateTax: 0,
+            stateTaxes: null,
+            localTax: 0,
+            localTaxJurisdiction: null,
+            federalDeduction: null,
+            stateDeduction: null,
+            federalCredits: null,
+            stateCredits: null,
             fica: { total: 0 },
+            statePayrollTaxes: { taxes: [], total: 0 },
             totalTax: 0,
+            afterTaxDeductions: 0,
+            retirementContributions: { traditional: 0, roth: 0, afterTax: 0, electiveDeferrals: 0, total: 0 },
             netAnnual: 0,
             monthlyNet: 0,
             effectiveRate: 0,
             marginalRate: 0,
+            jointTaxShare: null,
             biweeklyNet: 0
         };
     }
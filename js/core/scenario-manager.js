@@ -65,36 +65,124 @@ class ScenarioManager {
                     state: "CA",
                     locality: "San Francisco"
                 },
+                // Dated stays in other states this tax year ({ state, startDate, endDate });
+                // the rest of the year is spent in location.state
+                residencyPeriods: [],
                 filingStatus: "marriedFilingJointly",
-                members: ["person1", "person2"]
+                taxYear: 2025,
+                taxInflationRate: 0.025,
+                jointTaxAllocation: "proRata",
+                studentLoanRepayment: "standard", // or "incomeDriven" (see HouseholdCalculator.compareFilingStatus)
+                // How shared expenses divide among members: "equal", "grossIncome", "netIncome",
+                // "fixed" (percentages in shares) or "coverUpTo" (coveredBy pays up to coverLimit
+                // a month). An expense item may carry its own split in the same shape.
+                expenseSplit: { method: "equal", shares: {}, coveredBy: null, coverLimit: 0 },
+                // Ledger of who paid what ({ date, description, amount, paidBy, paidTo }); paidTo
+                // marks money sent to another member, otherwise it's a shared bill
+                sharedPayments: [],
+                checkingBalance: 0, // At the start of the tax year, for the month-by-month cash flow
+                itemizedDeductions: {
+                    mortgageInterest: 0,
+                    propertyTax: 0,
+                    charitableGiving: 0,
+                    medicalExpenses: 0
+                },
+                investmentIncome: {
+                    interest: 0,
+                    qualifiedDividends: 0,
+                    shortTermCapitalGains: 0,
+                    longTermCapitalGains: 0
+                },
+                // Last year's total tax and AGI, for the 1040-ES prior-year safe harbor
+                estimatedTaxes: {
+                    priorYearTax: 0,
+                    priorYearAGI: 0
+                },
+                dependents: [],
+                members: ["person1", "person2"] // Member ids, in order; each has a record under income
             },
             income: {
                 person1: {
                     name: "Partner 1",
+                    filingStatus: null, // Files their own return (e.g. an adult child); null files under the household's status
+                    age: 35, // At year-end, for catch-up contribution limits
                     salary: 120000,
                     bonus: 15000,
                     otherIncome: 2000,
                     payFrequency: "biweekly",
+                    firstPayDate: null, // Any payday, to place weekly and biweekly checks; null starts on the year's first Friday
+                    estimatedTaxes: null, // Prior-year tax and AGI of their own return; null when they're on the joint return or unknown
+                    workState: null, // State of the job when it isn't where the household lives
+                    bonusMonth: 12,
+                    w4: {
+                        filingStatus: "marriedFilingJointly",
+                        multipleJobs: true,
+                        dependentCredits: 0,
+                        otherIncome: 0,
+                        deductions: 0,
+                        extraWithholding: 0
+                    },
+                    selfEmployment: {
+                        income: 0,
+                        expenses: 0
+                    },
+                    isoExerciseSpread: 0, // Incentive stock options exercised and held (AMT only)
+                    preTaxIraBalance: 0, // Traditional, SEP and SIMPLE IRAs at year-end (backdoor Roth pro-rata rule)
+                    hsaCoverage: "self", // or "family"
                     preTexDeductions: {
                         retirement401k: 18000,
                         healthInsurance: 3600,
-                        hsa: 4300
+                        hsa: 4300,
+                        dependentCareFsa: 0
+                    },
+                    afterTaxDeductions: {
+                        roth401k: 0,
+                        afterTax401k: 0
                     }
                 },
                 person2: {
                     name: "Partner 2",
+                    filingStatus: null, // Files their own return (e.g. an adult child); null files under the household's status
+                    age: 35, // At year-end, for catch-up contribution limits
                     salary: 85000,
                     bonus: 5000,
                     otherIncome: 0,
                     payFrequency: "monthly",
+                    firstPayDate: null,
+                    estimatedTaxes: null,
+                    workState: null, // State of the job when it isn't where the household lives
+                    bonusMonth: 12,
+                    w4: {
+                        filingStatus: "marriedFilingJointly",
+                        multipleJobs: true,
+                        dependentCredits: 0,
+                        otherIncome: 0,
+                        deductions: 0,
+                        extraWithholding: 0
+                    },
+                    selfEmployment: {
+                        income: 0,
+                        expenses: 0
+                    },
+                    isoExerciseSpread: 0, // Incentive stock options exercised and held (AMT only)
+                    preTaxIraBalance: 0, // Traditional, SEP and SIMPLE IRAs at year-end (backdoor Roth pro-rata rule)
+                    hsaCoverage: "self", // or "family"
                     preTexDeductions: {
                         retirement401k: 12000,
                         healthInsurance: 0,
-                        hsa: 0
+                        hsa: 0,
+                        dependentCareFsa: 0
+                    },
+                    afterTaxDeductions: {
+                        roth401k: 0,
+                        afterTax401k: 0
                     }
                 }
             },
             expenses: {
+                // Items are { amount, assignedTo }, monthly unless they carry a frequency ("weekly",
+                // "quarterly", "annual" or "oneTime", with amount per payment) and a dueMonth (1-12);
+                // one-time items also have a dueYear and stay out of the monthly budget
                 ramitCategories: {
                     fixedCosts: {
                         housing: {
@@ -186,6 +274,81 @@ class ScenarioManager {
         return baseline;
     }
 
+    /**
+     * Add a member with an empty income record to a scenario
+     * @returns {string} the new member's id
+     */
+    addMember(scenario, name) {
+        const members = scenario.household.members || Object.keys(scenario.income);
+        let index = members.length + 1;
+        while (scenario.income[`person${index}`]) index++;
+        const member = `person${index}`;
+
+        scenario.income[member] = {
+            name: name || `Member ${members.length + 1}`,
+            filingStatus: null,
+            age: 35,
+            salary: 0,
+            bonus: 0,
+            otherIncome: 0,
+            payFrequency: "biweekly",
+            firstPayDate: null,
+            estimatedTaxes: null,
+            workState: null,
+            bonusMonth: 12,
+            selfEmployment: { income: 0, expenses: 0 },
+            isoExerciseSpread: 0,
+            preTaxIraBalance: 0,
+            hsaCoverage: "self",
+            preTexDeductions: { retirement401k: 0, healthInsurance: 0, hsa: 0, dependentCareFsa: 0 },
+            afterTaxDeductions: { roth401k: 0, afterTax401k: 0 }
+        };
+        scenario.household.members = [...members, member];
+        return member;
+    }
+
+    /**
+     * Remove a member from a scenario
+     * Their expenses become shared and their dependents move to the first remaining member.
+     * A joint return needs two members filing under the household's status, so with fewer
+     * left the household files single.
+     */
+    removeMember(scenario, member) {
+        const members = (scenario.household.members || Object.keys(scenario.income)).filter(id => id !== member);
+        if (members.length === 0) return false;
+
+        delete scenario.income[member];
+        scenario.household.members = members;
+        const householdFilers = members.filter(id => !scenario.income[id].filingStatus);
+        if (scenario.household.filingStatus === 'marriedFilingJointly' && householdFilers.length < 2) {
+            scenario.household.filingStatus = 'single';
+        }
+        (scenario.household.dependents || []).forEach(dependent => {
+            if (dependent.claimedBy === member) dependent.claimedBy = members[0];
+        });
+
+        // Drop the member from split policies; whatever they covered falls to the first member
+        const dropFromSplit = (split) => {
+            if (!split) return;
+            if (split.shares) delete split.shares[member];
+            if (split.coveredBy === member) split.coveredBy = members[0];
+        };
+        dropFromSplit(scenario.household.expenseSplit);
+
+        const reassign = (category) => Object.values(category || {}).forEach(item => {
+            if (!item || typeof item !== 'object') return;
+            if (item.amount === undefined) {
+                reassign(item);
+            } else if (item.assignedTo === member) {
+                item.assignedTo = 'shared';
+            } else {
+                dropFromSplit(item.split);
+            }
+        });
+        reassign(scenario.expenses && scenario.expenses.ramitCategories);
+        return true;
+    }
+
     /**
      * Get current scenario
      */
@@ -351,9 +514,8 @@ class ScenarioManager {
     calculateScenarioMetrics(scenario) {
         // This would integrate with the calculator
         // For now, return placeholder calculations
-        const person1Income = scenario.income.person1.salary + scenario.income.person1.bonus;
-        const person2Income = scenario.income.person2.salary + scenario.income.person2.bonus;
-        const totalGrossIncome = person1Income + person2Income;
+        const totalGrossIncome = Object.values(scenario.income)
+            .reduce((sum, person) => sum + (person.salary || 0) + (person.bonus || 0), 0);
         
         // Calculate total expenses
         const expenses = scenario.expenses.ramitCategories;
@@ -0,0 +1,438 @@
+/**
+ * Withholding Calculator
+ * Simulates payroll withholding from each person's W-4 (IRS Pub 15-T percentage method),
+ * reconciles it against the year's actual federal liability and plans the quarterly
+ * estimated payments (Form 1040-ES) that cover the rest
+ */
+
+class WithholdingCalculator {
+    constructor(taxCalculator) {
+        this.taxCalc = taxCalculator;
+
+        // Pay periods per year for each pay frequency
+        this.payPeriods = {
+            weekly: 52,
+            biweekly: 26,
+            semimonthly: 24,
+            monthly: 12
+        };
+
+        // Pub 15-T amounts for 2020-or-later W-4s that don't change with the tax year
+        this.percentageMethod = {
+            // Subtracted from annual wages when Step 2 (multiple jobs) is not checked
+            standardAdjustment: { marriedFilingJointly: 12900, single: 8600, headOfHousehold: 8600 },
+            supplementalRate: 0.22, // Optional flat rate on bonuses
+            mandatorySupplementalRate: 0.37, // Supplemental wages over $1 million in a year
+            mandatorySupplementalThreshold: 1000000,
+            additionalMedicareThreshold: 200000 // Employers withhold the 0.9% above this, whatever the filing status
+        };
+
+        // Form 1040-ES safe harbors: paying the smaller of these avoids the underpayment penalty
+        this.estimatedTaxRules = {
+            currentYearRate: 0.90,
+            priorYearRate: 1.00,
+            highIncomePriorYearRate: 1.10, // When prior-year AGI was over the threshold below
+            highIncomeThreshold: { single: 150000, marriedFilingSeparately: 75000 },
+            minimumBalanceDue: 1000, // No penalty when less than this is owed after withholding
+            dueDates: [
+                { quarter: 1, month: 4, day: 15 },
+                { quarter: 2, month: 6, day: 15 },
+                { quarter: 3, month: 9, day: 15 },
+                { quarter: 4, month: 1, day: 15, nextYear: true }
+            ]
+        };
+    }
+
+    /**
+     * Get the number of paychecks per year for a pay frequency (biweekly if unknown)
+     */
+    getPayPeriods(payFrequency) {
+        return this.payPeriods[payFrequency] || this.payPeriods.biweekly;
+    }
+
+    /**
+     * Get a year's paydays (YYYY-MM-DD) for a pay frequency
+     * Weekly and biweekly paydays step from `firstPayDate`, any known payday, or else the
+     * year's first Friday, so some years have 53 weekly or 27 biweekly checks. Semimonthly
+     * checks come on the 15th and the last day of the month and monthly checks on the last
+     * day, moved back to Friday when that falls on a weekend.
+     */
+    getPaydays(payFrequency, year, firstPayDate = null) {
+        const toDate = (date) => date.toISOString().slice(0, 10);
+        const yearStart = new Date(Date.UTC(year, 0, 1));
+        const yearEnd = new Date(Date.UTC(year, 11, 31));
+        const paydays = [];
+
+        if (payFrequency === 'weekly' || payFrequency === 'biweekly' || !this.payPeriods[payFrequency]) {
+            const stepDays = payFrequency === 'weekly' ? 7 : 14;
+            const anchor = firstPayDate ? new Date(`${firstPayDate}T00:00:00Z`) : null;
+            const day = anchor && !isNaN(anchor) ? anchor : new Date(Date.UTC(year, 0, 1 + (5 - yearStart.getUTCDay() + 7) % 7));
+
+            // Step to the year's first payday on this schedule
+            const offsetDays = Math.round((day - yearStart) / 86400000);
+            day.setUTCDate(day.getUTCDate() - Math.floor(offsetDays / stepDays) * stepDays);
+            for (; day <= yearEnd; day.setUTCDate(day.getUTCDate() + stepDays)) {
+                paydays.push(toDate(day));
+            }
+            return paydays;
+        }
+
+        const onWeekday = (date) => {
+            const weekday = date.getUTCDay();
+            if (weekday === 6 || weekday === 0) {
+                date.setUTCDate(date.getUTCDate() - (weekday === 6 ? 1 : 2));
+            }
+            return toDate(date);
+        };
+        for (let month = 0; month < 12; month++) {
+            if (payFrequency === 'semimonthly') {
+                paydays.push(onWeekday(new Date(Date.UTC(year, month, 15))));
+            }
+            paydays.push(onWeekday(new Date(Date.UTC(year, month + 1, 0))));
+        }
+        return paydays;
+    }
+
+    /**
+     * Fill in a person's W-4 with defaults matching the household's filing status
+     * W-4 filing status is 'single' (single or married filing separately),
+     * 'marriedFilingJointly' or 'headOfHousehold'
+     */
+    getW4(person, householdFilingStatus = 'single') {
+        const filingStatus = ['marriedFilingJointly', 'headOfHousehold'].includes(householdFilingStatus)
+            ? householdFilingStatus : 'single';
+
+        return {
+            filingStatus,
+            multipleJobs: false, // Step 2(c) checkbox
+            dependentCredits: 0, // Step 3
+            otherIncome: 0, // Step 4(a)
+            deductions: 0, // Step 4(b)
+            extraWithholding: 0, // Step 4(c), per paycheck
+            ...(person.w4 || {})
+        };
+    }
+
+    /**
+     * Federal income tax withheld from one regular paycheck (annual percentage method)
+     * The schedules are the tax year's brackets shifted by its standard deduction; with
+     * Step 2 checked, brackets and standard deduction are halved
+     */
+    calculateFederalWithholding(periodWages, payPeriods, w4) {
+        const { standardAdjustment } = this.percentageMethod;
+        const standardDeduction = this.taxCalc.getStandardDeduction(w4.filingStatus);
+
+        const annualWages = periodWages * payPeriods + (w4.otherIncome || 0);
+        const adjustment = (w4.deductions || 0) + (w4.multipleJobs ? 0 : standardAdjustment[w4.filingStatus] || standardAdjustment.single);
+        const adjustedAnnualWages = Math.max(0, annualWages - adjustment);
+
+        const tentativeWithholding = w4.multipleJobs
+            ? this.taxCalc.calculateFederalTax(2 * Math.max(0, adjustedAnnualWages - standardDeduction / 2), w4.filingStatus) / 2
+            : this.taxCalc.calculateFederalTax(Math.max(0, adjustedAnnualWages - standardDeduction), w4.filingStatus);
+
+        const annualWithholding = Math.max(0, tentativeWithholding - (w4.dependentCredits || 0));
+        return Math.round((annualWithholding / payPeriods + (w4.extraWithholding || 0)) * 100) / 100;
+    }
+
+    /**
+     * Federal income tax withheld from a bonus at the flat supplemental rate
+     */
+    calculateSupplementalWithholding(amount, supplementalYearToDate = 0) {
+        const { supplementalRate, mandatorySupplementalRate, mandatorySupplementalThreshold } = this.percentageMethod;
+        const overThreshold = Math.max(0, supplementalYearToDate + amount - Math.max(supplementalYearToDate, mandatorySupplementalThreshold));
+        const withholding = (amount - overThreshold) * supplementalRate + overThreshold * mandatorySupplementalRate;
+        return Math.round(withholding * 100) / 100;
+    }
+
+    /**
+     * Build a person's paycheck stubs for the tax year, one per payday (see getPaydays)
+     * Salary is paid evenly each period; the bonus is a separate supplemental check on the
+     * last payday of `bonusMonth` (December by default). Pre-tax and after-tax deductions come out of
+     * regular checks. State and local withholding is assumed to match the liability,
+     * spread in proportion to pay; state payroll taxes (SDI, paid leave) are those of the
+     * state the person works in and stop at their wage caps like Social Security.
+     * @param {Object} person - scenario.income[member]
+     * @param {Object} personCalc - the person's calculation from HouseholdCalculator
+     */
+    simulatePerson(person, personCalc, householdFilingStatus, state) {
+        const payFrequency = person.payFrequency || 'biweekly';
+        const paydays = this.getPaydays(payFrequency, this.taxCalc.taxYear, person.firstPayDate);
+        const payPeriods = paydays.length;
+        const w4 = this.getW4(person, householdFilingStatus);
+
+        const salary = person.salary || 0;
+        const bonus = person.bonus || 0;
+        const bonusMonth = person.bonusMonth || 12;
+        const preTaxByType = person.preTexDeductions || {};
+        const excluded = this.taxCalc.resolvePreTaxDeductions(preTaxByType, state);
+        const afterTaxDeductions = Object.values(person.afterTaxDeductions || {}).reduce((sum, amount) => sum + (amount || 0), 0);
+        const stateAndLocalTax = Math.max(0, (personCalc.stateTax || 0) + (personCalc.localTax || 0));
+        const totalPay = salary + bonus;
+
+        const round = (amount) => Math.round(amount * 100) / 100;
+        const { socialSecurity, medicare, additionalMedicare, socialSecurityWageBase } = this.taxCalc.ficaRates;
+        let socialSecurityWagesToDate = 0;
+        let medicareWagesToDate = 0;
+
+        const payrollTaxes = (ficaWages) => {
+            const socialSecurityWages = Math.min(ficaWages, Math.max(0, socialSecurityWageBase - socialSecurityWagesToDate));
+            const additionalMedicareWages = Math.max(0, medicareWagesToDate + ficaWages
+                - Math.max(medicareWagesToDate, this.percentageMethod.additionalMedicareThreshold));
+            const statePayrollTax = this.taxCalc.calculateStatePayrollTaxes(ficaWages, person.workState || state, medicareWagesToDate).total;
+            socialSecurityWagesToDate += socialSecurityWages;
+            medicareWagesToDate += ficaWages;
+            return {
+                socialSecurity: round(socialSecurityWages * socialSecurity),
+                medicare: round(ficaWages * medicare),
+                additionalMedicare: round(additionalMedicareWages * additionalMedicare),
+                statePayrollTax
+            };
+        };
+
+        const regularPeriod = {
+            gross: salary / payPeriods,
+            preTaxDeductions: excluded.total / payPeriods,
+            federalWages: (salary - excluded.federal) / payPeriods,
+            ficaWages: (salary - excluded.fica) / payPeriods
+        };
+        const regularFederalWithholding = this.calculateFederalWithholding(regularPeriod.federalWages, payPeriods, w4);
+
+        const stubs = [];
+        const addStub = (stub, ficaWages) => {
+            const fica = payrollTaxes(ficaWages);
+            const stateWithholding = totalPay > 0 ? round(stateAndLocalTax * stub.gross / totalPay) : 0;
+            const net = stub.gross - stub.preTaxDeductions - stub.federalWithholding
+                - fica.socialSecurity - fica.medicare - fica.additionalMedicare - fica.statePayrollTax
+                - stateWithholding - stub.afterTaxDeductions;
+            stubs.push({ ...stub, ...fica, stateWithholding, net: round(net) });
+        };
+
+        paydays.forEach((date, period) => {
+            const month = parseInt(date.slice(5, 7), 10);
+            addStub({
+                period: period + 1,
+                date,
+                month,
+                type: 'regular',
+                gross: round(regularPeriod.gross),
+                preTaxDeductions: round(regularPeriod.preTaxDeductions),
+                federalWithholding: regularPeriod.federalWages > 0 ? regularFederalWithholding : 0,
+                afterTaxDeductions: round(afterTaxDeductions / payPeriods)
+            }, regularPeriod.ficaWages);
+
+            const isLastCheckOfMonth = period + 1 === payPeriods || parseInt(paydays[period + 1].slice(5, 7), 10) !== month;
+            if (bonus > 0 && month === bonusMonth && isLastCheckOfMonth) {
+                addStub({
+                    period: null,
+                    date,
+                    month,
+                    type: 'bonus',
+                    gross: bonus,
+                    preTaxDeductions: 0,
+                    federalWithholding: this.calculateSupplementalWithholding(bonus),
+                    afterTaxDeductions: 0
+                }, bonus);
+            }
+        });
+
+        const totals = ['gross', 'preTaxDeductions', 'federalWithholding', 'socialSecurity', 'medicare',
+            'additionalMedicare', 'statePayrollTax', 'stateWithholding', 'afterTaxDeductions', 'net']
+            .reduce((sums, field) => ({ ...sums, [field]: round(stubs.reduce((sum, stub) => sum + stub[field], 0)) }), {});
+
+        return {
+            payFrequency,
+            payPeriods,
+            w4,
+            stubs,
+            totals,
+            regularPaycheck: stubs.find(stub => stub.type === 'regular') || null
+        };
+    }
+
+    /**
+     * Compare withholding with each person's federal liability (income tax, SE tax and
+     * the Additional Medicare Tax) to project the refund or balance due
+     * `difference` is positive for a refund; `extraWithholdingToBreakEven` is the per-paycheck
+     * Step 4(c) change for that person alone to break even (negative to withhold less)
+     */
+    reconcile(simulation, personCalc) {
+        const fica = personCalc.fica || {};
+        const liability = (personCalc.federalTax || 0) + (fica.selfEmployment || 0) + (fica.additionalMedicare || 0);
+        const withheld = simulation.totals.federalWithholding + simulation.totals.additionalMedicare;
+        const difference = Math.round((withheld - liability) * 100) / 100;
+
+        return {
+            liability: Math.round(liability * 100) / 100,
+            withheld: Math.round(withheld * 100) / 100,
+            difference,
+            extraWithholdingToBreakEven: Math.round(-difference / simulation.payPeriods * 100) / 100
+        };
+    }
+
+    /**
+     * Get a 1040-ES due date, moved to the next Monday when it falls on a weekend
+     */
+    getEstimatedTaxDueDate(taxYear, dueDate) {
+        const date = new Date(Date.UTC(taxYear + (dueDate.nextYear ? 1 : 0), dueDate.month - 1, dueDate.day));
+        const day = date.getUTCDay();
+        if (day === 6 || day === 0) {
+            date.setUTCDate(date.getUTCDate() + (day === 6 ? 2 : 1));
+        }
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Plan the household's quarterly estimated payments, one set per return
+     * Members filing jointly share a return and `household.estimatedTaxes`; everyone else
+     * plans their own from `person.estimatedTaxes`, with a lone household filer falling
+     * back to the household's. Payments and `monthlyOutflows` are the returns' totals;
+     * the fourth-quarter payment is due the next January, so it's left out of this year's
+     * `monthlyOutflows` and reported as `dueNextYear`.
+     * @param {Object} simulations - simulateHousehold() results keyed by member
+     */
+    planEstimatedTaxes(scenario, simulations, taxYear) {
+        const { household } = scenario;
+        const round = (amount) => Math.round(amount * 100) / 100;
+        const members = Object.keys(simulations).filter(key => key !== 'household');
+        const householdFilers = members.filter(member => !scenario.income[member].filingStatus);
+        const jointMembers = household.filingStatus === 'marriedFilingJointly' ? householdFilers : [];
+
+        const filings = members.filter(member => !jointMembers.includes(member)).map(member => {
+            const person = scenario.income[member];
+            const loneHouseholdFiler = householdFilers.length === 1 && householdFilers[0] === member;
+            return {
+                members: [member],
+                filingStatus: person.filingStatus || household.filingStatus,
+                priorYear: person.estimatedTaxes || (loneHouseholdFiler ? household.estimatedTaxes : null)
+            };
+        });
+        if (jointMembers.length > 0) {
+            filings.unshift({ members: jointMembers, filingStatus: household.filingStatus, priorYear: household.estimatedTaxes });
+        }
+
+        const returns = filings.map(filing => {
+            const sum = (field) => round(filing.members.reduce((total, member) => total + simulations[member].reconciliation[field], 0));
+            return {
+                members: filing.members,
+                filingStatus: filing.filingStatus,
+                ...this.planReturnEstimatedTaxes(sum('liability'), sum('withheld'), filing.filingStatus, filing.priorYear || {}, taxYear)
+            };
+        });
+
+        const total = (field) => round(returns.reduce((sum, plan) => sum + plan[field], 0));
+        return {
+            liability: total('liability'),
+            withheld: total('withheld'),
+            requiredAnnualPayment: total('requiredAnnualPayment'),
+            annualEstimatedPayments: total('annualEstimatedPayments'),
+            payments: this.estimatedTaxRules.dueDates.map((dueDate, index) => ({
+                quarter: dueDate.quarter,
+                dueDate: this.getEstimatedTaxDueDate(taxYear, dueDate),
+                month: dueDate.month,
+                nextYear: Boolean(dueDate.nextYear),
+                amount: round(returns.reduce((sum, plan) => sum + plan.payments[index].amount, 0))
+            })),
+            monthlyOutflows: new Array(12).fill(0).map((zero, month) =>
+                round(returns.reduce((sum, plan) => sum + plan.monthlyOutflows[month], 0))),
+            dueNextYear: total('dueNextYear'),
+            balanceDueAtFiling: total('balanceDueAtFiling'),
+            returns
+        };
+    }
+
+    /**
+     * Plan one return's quarterly estimated payments that, with withholding, meet a safe harbor
+     * The prior-year harbor is used only when `priorYearTax` is entered (0 means unknown),
+     * at 110% when that return's prior-year AGI was over the threshold
+     */
+    planReturnEstimatedTaxes(liability, withheld, filingStatus, { priorYearTax = 0, priorYearAGI = 0 }, taxYear) {
+        const rules = this.estimatedTaxRules;
+        const round = (amount) => Math.round(amount * 100) / 100;
+
+        const currentYearSafeHarbor = round(liability * rules.currentYearRate);
+        const priorYearRate = priorYearAGI > this.taxCalc.resolveStateValue(rules.highIncomeThreshold, filingStatus)
+            ? rules.highIncomePriorYearRate : rules.priorYearRate;
+        const priorYearSafeHarbor = priorYearTax > 0 ? round(priorYearTax * priorYearRate) : null;
+
+        const usePriorYear = priorYearSafeHarbor !== null && priorYearSafeHarbor < currentYearSafeHarbor;
+        const requiredAnnualPayment = usePriorYear ? priorYearSafeHarbor : currentYearSafeHarbor;
+        const owedAfterWithholding = liability - withheld;
+        const annualEstimatedPayments = owedAfterWithholding < rules.minimumBalanceDue
+            ? 0 : round(Math.max(0, requiredAnnualPayment - withheld));
+
+        const quarterlyPayment = round(annualEstimatedPayments / rules.dueDates.length);
+        const payments = rules.dueDates.map(dueDate => ({
+            quarter: dueDate.quarter,
+            dueDate: this.getEstimatedTaxDueDate(taxYear, dueDate),
+            month: dueDate.month,
+            nextYear: Boolean(dueDate.nextYear),
+            amount: quarterlyPayment
+        }));
+
+        // Payments due the next January aren't paid out of this year's cash
+        const monthlyOutflows = new Array(12).fill(0);
+        let dueNextYear = 0;
+        payments.forEach(payment => {
+            if (payment.nextYear) {
+                dueNextYear += payment.amount;
+            } else {
+                monthlyOutflows[payment.month - 1] += payment.amount;
+            }
+        });
+
+        return {
+            liability,
+            withheld,
+            safeHarbors: {
+                currentYear: currentYearSafeHarbor,
+                priorYear: priorYearSafeHarbor,
+                priorYearRate
+            },
+            safeHarbor: usePriorYear ? 'priorYear' : 'currentYear',
+            requiredAnnualPayment,
+            annualEstimatedPayments,
+            payments,
+            monthlyOutflows,
+            dueNextYear: round(dueNextYear),
+            balanceDueAtFiling: round(Math.max(0, owedAfterWithholding - annualEstimatedPayments))
+        };
+    }
+
+    /**
+     * Simulate each member's paychecks and the household's year-end refund or balance due
+     * @param {Object} personCalcs - calculations keyed by member
+     */
+    simulateHousehold(scenario, personCalcs) {
+        const { filingStatus, location } = scenario.household;
+        const result = {};
+        let liability = 0;
+        let withheld = 0;
+
+        Object.keys(personCalcs).forEach(member => {
+            const person = scenario.income[member];
+            const simulation = this.simulatePerson(person, personCalcs[member], person.filingStatus || filingStatus, location.state);
+            const reconciliation = this.reconcile(simulation, personCalcs[member]);
+            liability += reconciliation.liability;
+            withheld += reconciliation.withheld;
+            result[member] = { ...simulation, reconciliation };
+        });
+
+        const difference = Math.round((withheld - liability) * 100) / 100;
+        result.household = {
+            liability: Math.round(liability * 100) / 100,
+            withheld: Math.round(withheld * 100) / 100,
+            difference,
+            refund: Math.max(0, difference),
+            balanceDue: Math.max(0, -difference)
+        };
+
+        return result;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WithholdingCalculator;
+} else {
+    window.WithholdingCalculator = WithholdingCalculator;
+}
@@ -0,0 +1,334 @@
+/**
+ * Federal Tax Tables - versioned by tax year
+ * Ordinary and capital gains brackets, standard deductions, the Social Security wage base, the QBI deduction,
+ * the alternative minimum tax, contribution limits, the Roth IRA phase-out and credits
+ *
+ * Conventions:
+ * - Each entry under `years` is a published IRS/SSA table; later years are projected
+ *   from the latest one with `inflationRate` (see TaxCalculator.getTaxYearData)
+ * - `indexingRounding` is the step each projected amount is rounded down to, mirroring
+ *   how the IRS rounds its inflation adjustments; 0 marks an amount fixed in statute
+ * - `contributionLimits` is the registry of account limits: 401(k)/403(b) elective deferrals
+ *   and catch-ups (age 50+, and the larger 60-63 catch-up), annual additions, HSA self-only
+ *   and family coverage plus the 55+ catch-up, IRA and its catch-up, and the household's
+ *   dependent-care FSA exclusion (halved when married filing separately); the catch-up ages
+ *   live in TaxCalculator
+ * - `rothIraPhaseOut.start` is the modified AGI where the direct Roth IRA limit starts to
+ *   shrink; married filing separately starts at zero, and head of household uses `single`
+ * - `saltCap` amounts are for joint and single filers (halved when married filing
+ *   separately); projected years follow the statutory `saltCapSchedule` rather than inflation
+ * - `credits`, `qbiDeduction` and `alternativeMinimumTax` amounts and thresholds keyed by filing status fall back to `single`
+ *   (head of household, married filing separately) where the law doesn't set its own
+ * - Thresholds that are fixed in statute (Additional Medicare Tax, Net Investment Income Tax)
+ *   live in TaxCalculator
+ */
+
+const FederalTaxTables = (() => {
+    const RATES = [0.10, 0.12, 0.22, 0.24, 0.32, 0.35, 0.37];
+
+    /**
+     * Build a seven-bracket schedule from the lower bound of each bracket above 10%
+     */
+    const brackets = (...bounds) => [0, ...bounds].map((min, index, mins) => ({
+        min,
+        max: index + 1 < mins.length ? mins[index + 1] : Infinity,
+        rate: RATES[index]
+    }));
+
+    /**
+     * Build the 0%/15%/20% schedule for long-term gains and qualified dividends
+     * from the top of the 0% and 15% brackets
+     */
+    const capitalGains = (zeroTop, fifteenTop) => [
+        { min: 0, max: zeroTop, rate: 0 },
+        { min: zeroTop, max: fifteenTop, rate: 0.15 },
+        { min: fifteenTop, max: Infinity, rate: 0.20 }
+    ];
+
+    // Credit rules that are fixed in statute rather than indexed
+    const CHILD_TAX_CREDIT = {
+        maxAge: 16,
+        refundableRate: 0.15, // Additional CTC: 15% of earned income over the floor
+        earnedIncomeFloor: 2500,
+        otherDependentAmount: 500,
+        phaseOutThreshold: { single: 200000, marriedFilingJointly: 400000, marriedFilingSeparately: 200000, headOfHousehold: 200000 },
+        phaseOutStep: 1000,
+        phaseOutAmount: 50
+    };
+    const DEPENDENT_CARE_CREDIT = {
+        maxAge: 12,
+        expenseLimits: [3000, 6000], // One qualifying person, two or more
+        rateSchedule: [{ start: 15000, step: 2000, from: 0.35, to: 0.20 }]
+    };
+    // Section 199A deduction for a business with no W-2 payroll or qualified property:
+    // the wage limit is zero, so the deduction phases out over the phase-in range
+    const QBI_DEDUCTION = {
+        rate: 0.20
+    };
+    // AMT rates: 26% of the amount over the exemption up to `rateThreshold`, 28% above
+    const ALTERNATIVE_MINIMUM_TAX = {
+        rates: [0.26, 0.28]
+    };
+    // Direct Roth IRA contributions phase out over a fixed range above the start;
+    // married filing separately starts at zero
+    const ROTH_IRA_PHASE_OUT = {
+        range: { single: 15000, marriedFilingJointly: 10000, marriedFilingSeparately: 10000 }
+    };
+    // Indexed by number of qualifying children (0, 1, 2, 3+)
+    const EARNED_INCOME_CREDIT_RATES = {
+        qualifyingChildMaxAge: 18,
+        phaseInRates: [0.0765, 0.34, 0.40, 0.45],
+        phaseOutRates: [0.0765, 0.1598, 0.2106, 0.2106]
+    };
+
+    return {
+        defaultYear: 2025,
+        inflationRate: 0.025,
+        indexingRounding: {
+            brackets: 25,
+            capitalGainsBrackets: 50,
+            standardDeductions: 50,
+            socialSecurityWageBase: 300,
+            contributionLimits: {
+                retirement401k: 500,
+                retirement401kCatchUp: 500,
+                retirement401kSuperCatchUp: 500,
+                annualAdditions: 1000,
+                hsaSelf: 50,
+                hsaFamily: 50,
+                hsaCatchUp: 0,
+                ira: 500,
+                iraCatchUp: 100,
+                dependentCareFsa: 0
+            },
+            credits: {
+                childTaxCredit: 100,
+                earnedIncomeCredit: 10
+            },
+            qbiDeduction: 50,
+            alternativeMinimumTax: 100,
+            rothIraPhaseOut: 1000
+        },
+        // The cap and its phase-out threshold rise 1% a year through 2029; from 2030 the
+        // cap returns to $10,000 with no phase-out
+        saltCapSchedule: {
+            annualIncrease: 0.01,
+            lastIndexedYear: 2029,
+            afterExpiration: { limit: 10000, phaseOutThreshold: Infinity, phaseOutRate: 0, floor: 10000 }
+        },
+        years: {
+            2024: {
+                brackets: {
+                    single: brackets(11600, 47150, 100525, 191950, 243725, 609350),
+                    marriedFilingJointly: brackets(23200, 94300, 201050, 383900, 487450, 731200),
+                    marriedFilingSeparately: brackets(11600, 47150, 100525, 191950, 243725, 365600),
+                    headOfHousehold: brackets(16550, 63100, 100500, 191950, 243700, 609350)
+                },
+                capitalGainsBrackets: {
+                    single: capitalGains(47025, 518900),
+                    marriedFilingJointly: capitalGains(94050, 583750),
+                    marriedFilingSeparately: capitalGains(47025, 291850),
+                    headOfHousehold: capitalGains(63000, 551350)
+                },
+                standardDeductions: {
+                    single: 14600,
+                    marriedFilingJointly: 29200,
+                    marriedFilingSeparately: 14600,
+                    headOfHousehold: 21900
+                },
+                saltCap: { limit: 10000, phaseOutThreshold: Infinity, phaseOutRate: 0, floor: 10000 },
+                socialSecurityWageBase: 168600,
+                qbiDeduction: {
+                    ...QBI_DEDUCTION,
+                    threshold: { single: 191950, marriedFilingJointly: 383900 },
+                    phaseInRange: { single: 50000, marriedFilingJointly: 100000 }
+                },
+                alternativeMinimumTax: {
+                    ...ALTERNATIVE_MINIMUM_TAX,
+                    exemption: { single: 85700, marriedFilingJointly: 133300, marriedFilingSeparately: 66650 },
+                    phaseOutThreshold: { single: 609350, marriedFilingJointly: 1218700 },
+                    phaseOutRate: 0.25,
+                    rateThreshold: { single: 232600, marriedFilingSeparately: 116300 }
+                },
+                credits: {
+                    childTaxCredit: { ...CHILD_TAX_CREDIT, amount: 2000, refundableLimit: 1700 },
+                    dependentCareCredit: DEPENDENT_CARE_CREDIT,
+                    earnedIncomeCredit: {
+                        ...EARNED_INCOME_CREDIT_RATES,
+                        maxCredit: [632, 4213, 6960, 7830],
+                        phaseOutThreshold: {
+                            single: [10330, 22720, 22720, 22720],
+                            marriedFilingJointly: [17250, 29640, 29640, 29640]
+                        },
+                        investmentIncomeLimit: 11600
+                    }
+                },
+                contributionLimits: {
+                    retirement401k: 23000,
+                    retirement401kCatchUp: 7500,
+                    retirement401kSuperCatchUp: 7500, // The 60-63 catch-up starts in 2025
+                    annualAdditions: 69000,
+                    hsaSelf: 4150,
+                    hsaFamily: 8300,
+                    hsaCatchUp: 1000,
+                    ira: 7000,
+                    iraCatchUp: 1000,
+                    dependentCareFsa: 5000
+                },
+                rothIraPhaseOut: {
+                    ...ROTH_IRA_PHASE_OUT,
+                    start: { single: 146000, marriedFilingJointly: 230000, marriedFilingSeparately: 0 }
+                }
+            },
+            2025: {
+                brackets: {
+                    single: brackets(11925, 48475, 103350, 197300, 250525, 626350),
+                    marriedFilingJointly: brackets(23850, 96950, 206700, 394600, 501050, 751600),
+                    marriedFilingSeparately: brackets(11925, 48475, 103350, 197300, 250525, 375800),
+                    headOfHousehold: brackets(17000, 64850, 103350, 197300, 250500, 626350)
+                },
+                capitalGainsBrackets: {
+                    single: capitalGains(48350, 533400),
+                    marriedFilingJointly: capitalGains(96700, 600050),
+                    marriedFilingSeparately: capitalGains(48350, 300000),
+                    headOfHousehold: capitalGains(64750, 566700)
+                },
+                // As raised by the 2025 reconciliation act
+                standardDeductions: {
+                    single: 15750,
+                    marriedFilingJointly: 31500,
+                    marriedFilingSeparately: 15750,
+                    headOfHousehold: 23625
+                },
+                saltCap: { limit: 40000, phaseOutThreshold: 500000, phaseOutRate: 0.30, floor: 10000 },
+                socialSecurityWageBase: 176100,
+                qbiDeduction: {
+                    ...QBI_DEDUCTION,
+                    threshold: { single: 197300, marriedFilingJointly: 394600 },
+                    phaseInRange: { single: 50000, marriedFilingJointly: 100000 }
+                },
+                alternativeMinimumTax: {
+                    ...ALTERNATIVE_MINIMUM_TAX,
+                    exemption: { single: 88100, marriedFilingJointly: 137000, marriedFilingSeparately: 68500 },
+                    phaseOutThreshold: { single: 626350, marriedFilingJointly: 1252700 },
+                    phaseOutRate: 0.25,
+                    rateThreshold: { single: 239100, marriedFilingSeparately: 119550 }
+                },
+                credits: {
+                    childTaxCredit: { ...CHILD_TAX_CREDIT, amount: 2200, refundableLimit: 1700 },
+                    dependentCareCredit: DEPENDENT_CARE_CREDIT,
+                    earnedIncomeCredit: {
+                        ...EARNED_INCOME_CREDIT_RATES,
+                        maxCredit: [649, 4328, 7152, 8046],
+                        phaseOutThreshold: {
+                            single: [10620, 23350, 23350, 23350],
+                            marriedFilingJointly: [17730, 30470, 30470, 30470]
+                        },
+                        investmentIncomeLimit: 11950
+                    }
+                },
+                contributionLimits: {
+                    retirement401k: 23500,
+                    retirement401kCatchUp: 7500,
+                    retirement401kSuperCatchUp: 11250,
+                    annualAdditions: 70000,
+                    hsaSelf: 4300,
+                    hsaFamily: 8550,
+                    hsaCatchUp: 1000,
+                    ira: 7000,
+                    iraCatchUp: 1000,
+                    dependentCareFsa: 5000
+                },
+                rothIraPhaseOut: {
+                    ...ROTH_IRA_PHASE_OUT,
+                    start: { single: 150000, marriedFilingJointly: 236000, marriedFilingSeparately: 0 }
+                }
+            },
+            2026: {
+                brackets: {
+                    single: brackets(12400, 50400, 105700, 201775, 256225, 640600),
+                    marriedFilingJointly: brackets(24800, 100800, 211400, 403550, 512450, 768700),
+                    marriedFilingSeparately: brackets(12400, 50400, 105700, 201775, 256225, 384350),
+                    headOfHousehold: brackets(17700, 67450, 105700, 201750, 256200, 640600)
+                },
+                capitalGainsBrackets: {
+                    single: capitalGains(49450, 545500),
+                    marriedFilingJointly: capitalGains(98900, 613700),
+                    marriedFilingSeparately: capitalGains(49450, 306850),
+                    headOfHousehold: capitalGains(66200, 579600)
+                },
+                standardDeductions: {
+                    single: 16100,
+                    marriedFilingJointly: 32200,
+                    marriedFilingSeparately: 16100,
+                    headOfHousehold: 24150
+                },
+                saltCap: { limit: 40400, phaseOutThreshold: 505000, phaseOutRate: 0.30, floor: 10000 },
+                socialSecurityWageBase: 184500,
+                // Wider phase-in range and a $400 minimum for at least $1,000 of QBI
+                qbiDeduction: {
+                    ...QBI_DEDUCTION,
+                    threshold: { single: 201775, marriedFilingJointly: 403550 },
+                    phaseInRange: { single: 75000, marriedFilingJointly: 150000 },
+                    minimum: { amount: 400, qualifiedIncomeFloor: 1000 }
+                },
+                // Phase-out thresholds reset to $500,000/$1,000,000 and the exemption phases out twice as fast
+                alternativeMinimumTax: {
+                    ...ALTERNATIVE_MINIMUM_TAX,
+                    exemption: { single: 90100, marriedFilingJointly: 140200, marriedFilingSeparately: 70100 },
+                    phaseOutThreshold: { single: 500000, marriedFilingJointly: 1000000 },
+                    phaseOutRate: 0.50,
+                    rateThreshold: { single: 244500, marriedFilingSeparately: 122250 }
+                },
+                credits: {
+                    childTaxCredit: { ...CHILD_TAX_CREDIT, amount: 2200, refundableLimit: 1700 },
+                    // Raised to 50% for lower incomes, with a second phase-down above $75,000
+                    dependentCareCredit: {
+                        ...DEPENDENT_CARE_CREDIT,
+                        rateSchedule: [
+                            { start: 15000, step: 2000, from: 0.50, to: 0.35 },
+                            {
+                                start: { single: 75000, marriedFilingJointly: 150000 },
+                                step: { single: 2000, marriedFilingJointly: 4000 },
+                                from: 0.35,
+                                to: 0.20
+                            }
+                        ]
+                    },
+                    earnedIncomeCredit: {
+                        ...EARNED_INCOME_CREDIT_RATES,
+                        maxCredit: [664, 4427, 7316, 8231],
+                        phaseOutThreshold: {
+                            single: [10860, 23890, 23890, 23890],
+                            marriedFilingJointly: [18140, 31160, 31160, 31160]
+                        },
+                        investmentIncomeLimit: 12200
+                    }
+                },
+                contributionLimits: {
+                    retirement401k: 24500,
+                    retirement401kCatchUp: 8000,
+                    retirement401kSuperCatchUp: 11250,
+                    annualAdditions: 72000,
+                    hsaSelf: 4400,
+                    hsaFamily: 8750,
+                    hsaCatchUp: 1000,
+                    ira: 7500,
+                    iraCatchUp: 1100,
+                    dependentCareFsa: 7500 // Raised by the 2025 reconciliation act
+                },
+                rothIraPhaseOut: {
+                    ...ROTH_IRA_PHASE_OUT,
+                    start: { single: 153000, marriedFilingJointly: 242000, marriedFilingSeparately: 0 }
+                }
+            }
+        }
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FederalTaxTables;
+} else {
+    window.FederalTaxTables = FederalTaxTables;
+}
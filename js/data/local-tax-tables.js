@@ -0,0 +1,118 @@
+/**
+ * Local Income Tax Tables - 2025 Tax Year
+ * City, county and school district income taxes keyed by state, then locality
+ *
+ * Conventions:
+ * - `base: 'wages'` taxes each earner's Medicare wages; `base: 'stateTaxable'` taxes
+ *   the return's state taxable income
+ * - `type: 'surcharge'` is a percentage of the state income tax (e.g. Yonkers)
+ * - `type: 'perCapita'` is a fixed annual amount per employed resident
+ * - `aliases` lets free-text `household.location.locality` values match
+ */
+
+const LocalTaxTables = (() => {
+    /**
+     * Build a bracket schedule from [lowerBound, rate] pairs
+     */
+    const schedule = (...steps) => steps.map(([min, rate], index) => ({
+        min,
+        max: index + 1 < steps.length ? steps[index + 1][0] : Infinity,
+        rate
+    }));
+
+    return {
+        year: 2025,
+        localities: {
+            'AL': {
+                'Birmingham': { type: 'flat', base: 'wages', rate: 0.01 }
+            },
+            'CO': {
+                'Denver': { type: 'perCapita', amount: 69 },
+                'Aurora': { type: 'perCapita', amount: 24 }
+            },
+            'DE': {
+                'Wilmington': { type: 'flat', base: 'wages', rate: 0.0125 }
+            },
+            'IN': {
+                'Marion County': { type: 'flat', base: 'stateTaxable', rate: 0.0202, aliases: ['Indianapolis'] },
+                'Hamilton County': { type: 'flat', base: 'stateTaxable', rate: 0.011, aliases: ['Carmel', 'Fishers'] },
+                'Allen County': { type: 'flat', base: 'stateTaxable', rate: 0.0159, aliases: ['Fort Wayne'] },
+                'Lake County': { type: 'flat', base: 'stateTaxable', rate: 0.015, aliases: ['Gary', 'Hammond'] }
+            },
+            'KY': {
+                'Louisville': { type: 'flat', base: 'wages', rate: 0.022, aliases: ['Jefferson County'] },
+                'Lexington': { type: 'flat', base: 'wages', rate: 0.0225, aliases: ['Fayette County'] }
+            },
+            'MD': {
+                'Baltimore City': { type: 'flat', base: 'stateTaxable', rate: 0.032, aliases: ['Baltimore'] },
+                'Baltimore County': { type: 'flat', base: 'stateTaxable', rate: 0.032, aliases: ['Towson'] },
+                'Montgomery County': { type: 'flat', base: 'stateTaxable', rate: 0.032, aliases: ['Bethesda', 'Rockville', 'Silver Spring'] },
+                "Prince George's County": { type: 'flat', base: 'stateTaxable', rate: 0.032, aliases: ['Prince Georges County'] },
+                'Howard County': { type: 'flat', base: 'stateTaxable', rate: 0.032, aliases: ['Columbia'] },
+                'Anne Arundel County': { type: 'flat', base: 'stateTaxable', rate: 0.0281, aliases: ['Annapolis'] },
+                'Frederick County': { type: 'flat', base: 'stateTaxable', rate: 0.0296, aliases: ['Frederick'] },
+                'Worcester County': { type: 'flat', base: 'stateTaxable', rate: 0.0225, aliases: ['Ocean City'] }
+            },
+            'MI': {
+                'Detroit': { type: 'flat', base: 'wages', rate: 0.024 },
+                'Grand Rapids': { type: 'flat', base: 'wages', rate: 0.015 },
+                'Lansing': { type: 'flat', base: 'wages', rate: 0.01 },
+                'Flint': { type: 'flat', base: 'wages', rate: 0.01 }
+            },
+            'MO': {
+                'Kansas City': { type: 'flat', base: 'wages', rate: 0.01 },
+                'St. Louis': { type: 'flat', base: 'wages', rate: 0.01, aliases: ['Saint Louis', 'St Louis'] }
+            },
+            'NY': {
+                'New York City': {
+                    type: 'progressive',
+                    base: 'stateTaxable',
+                    brackets: {
+                        single: schedule([0, 0.03078], [12000, 0.03762], [25000, 0.03819], [50000, 0.03876]),
+                        marriedFilingJointly: schedule([0, 0.03078], [21600, 0.03762], [45000, 0.03819], [90000, 0.03876]),
+                        headOfHousehold: schedule([0, 0.03078], [14400, 0.03762], [30000, 0.03819], [60000, 0.03876])
+                    },
+                    aliases: ['NYC', 'New York', 'Manhattan', 'Brooklyn', 'Queens', 'Bronx', 'Staten Island']
+                },
+                'Yonkers': { type: 'surcharge', rate: 0.1675 }
+            },
+            'OH': {
+                'Columbus': { type: 'flat', base: 'wages', rate: 0.025 },
+                'Cleveland': { type: 'flat', base: 'wages', rate: 0.025 },
+                'Cincinnati': { type: 'flat', base: 'wages', rate: 0.018 },
+                'Toledo': { type: 'flat', base: 'wages', rate: 0.025 },
+                'Akron': { type: 'flat', base: 'wages', rate: 0.025 },
+                'Dayton': { type: 'flat', base: 'wages', rate: 0.025 }
+            },
+            'OR': {
+                'Portland': {
+                    // Metro Supportive Housing Services + Multnomah County Preschool for All
+                    type: 'progressive',
+                    base: 'stateTaxable',
+                    brackets: {
+                        single: schedule([0, 0], [125000, 0.025], [250000, 0.04]),
+                        marriedFilingJointly: schedule([0, 0], [200000, 0.025], [400000, 0.04])
+                    },
+                    aliases: ['Multnomah County']
+                }
+            },
+            'PA': {
+                'Philadelphia': { type: 'flat', base: 'wages', rate: 0.0374 },
+                'Pittsburgh': { type: 'flat', base: 'wages', rate: 0.03 },
+                'Scranton': { type: 'flat', base: 'wages', rate: 0.034 },
+                'Reading': { type: 'flat', base: 'wages', rate: 0.036 },
+                'Harrisburg': { type: 'flat', base: 'wages', rate: 0.02 },
+                'Allentown': { type: 'flat', base: 'wages', rate: 0.01975 },
+                // Most other municipalities and school districts levy a combined 1% EIT
+                'Other PA Municipality': { type: 'flat', base: 'wages', rate: 0.01 }
+            }
+        }
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LocalTaxTables;
+} else {
+    window.LocalTaxTables = LocalTaxTables;
+}
@@ -0,0 +1,600 @@
+/**
+ * State Income Tax Tables - 2025 Tax Year
+ * Brackets, standard deductions, personal exemptions and credits for all 50 states + DC
+ *
+ * Conventions:
+ * - `brackets` is either one schedule shared by every filing status or an object keyed
+ *   by filing status (same keys as TaxCalculator.federalBrackets)
+ * - `standardDeduction: 'federal'` means the state conforms to the federal amount
+ * - `personalExemption` and `credits.personal` are per filer (doubled on joint returns)
+ * - States with a standard deduction let filers itemize instead unless `itemizing: false`
+ * - `preTaxDeductions` marks payroll deduction types the state taxes (false = not excluded);
+ *   types not listed follow TaxCalculator.preTaxDeductionTypes
+ * - `capitalGains` is how a state departs from taxing investment income as ordinary income:
+ *   `exclusion` leaves a share of net long-term gains out of income, `maxRate` caps the rate
+ *   on them, `shortTermRate` taxes short-term gains at their own flat rate and `excise` is a
+ *   separate tax on long-term gains above its deduction
+ * - `credits.earnedIncome` and `credits.dependentCare` are a percentage of the federal credit;
+ *   `credits.child` pays an amount per child by age tier (or once per return with `perReturn`),
+ *   reduced either linearly from `phaseOut.start` to `phaseOut.end` or by `amount` per `step`;
+ *   `credits.standardDeductionRate` is a share of the federal standard deduction, reduced by
+ *   `standardDeductionPhaseOut.rate` of taxable income over its threshold
+ * - `payrollTaxes` are the employee's mandatory payroll contributions that aren't income tax
+ *   (disability, paid leave, unemployment, long-term care): a `rate` on each person's payroll
+ *   wages up to `wageBase` (`'socialSecurity'` follows the federal wage base; none = uncapped),
+ *   optionally limited to `maxContribution` a year
+ */
+
+const StateTaxTables = (() => {
+    /**
+     * Build a bracket schedule from [lowerBound, rate] pairs
+     */
+    const schedule = (...steps) => steps.map(([min, rate], index) => ({
+        min,
+        max: index + 1 < steps.length ? steps[index + 1][0] : Infinity,
+        rate
+    }));
+
+    return {
+        year: 2025,
+        states: {
+            'AL': {
+                name: 'Alabama',
+                type: 'progressive',
+                brackets: {
+                    single: schedule([0, 0.02], [500, 0.04], [3000, 0.05]),
+                    marriedFilingJointly: schedule([0, 0.02], [1000, 0.04], [6000, 0.05]),
+                    marriedFilingSeparately: schedule([0, 0.02], [500, 0.04], [3000, 0.05]),
+                    headOfHousehold: schedule([0, 0.02], [500, 0.04], [3000, 0.05])
+                },
+                standardDeduction: { single: 3000, marriedFilingJointly: 8500, marriedFilingSeparately: 4250, headOfHousehold: 5200 },
+                personalExemption: { single: 1500, marriedFilingJointly: 1500, marriedFilingSeparately: 1500, headOfHousehold: 3000 },
+                dependentExemption: 1000
+            },
+            'AK': {
+                name: 'Alaska',
+                type: 'none',
+                payrollTaxes: [{ name: 'UI', label: 'Unemployment Insurance', rate: 0.005, wageBase: 51700 }]
+            },
+            'AZ': {
+                name: 'Arizona',
+                type: 'flat',
+                rate: 0.025,
+                standardDeduction: 'federal',
+                credits: { dependent: 100 },
+                capitalGains: { exclusion: 0.25 }
+            },
+            'AR': {
+                name: 'Arkansas',
+                type: 'progressive',
+                brackets: schedule([0, 0], [5500, 0.02], [10900, 0.03], [15600, 0.034], [25700, 0.039]),
+                standardDeduction: { single: 2410, marriedFilingJointly: 4820, marriedFilingSeparately: 2410, headOfHousehold: 2410 },
+                credits: { personal: 29, dependent: 29 },
+                capitalGains: { exclusion: 0.50 }
+            },
+            'CA': {
+                name: 'California',
+                type: 'progressive',
+                brackets: {
+                    single: schedule(
+                        [0, 0.01], [11079, 0.02], [26264, 0.04], [41452, 0.06], [57542, 0.08],
+                        [72724, 0.093], [371479, 0.103], [445771, 0.113], [742953, 0.123]
+                    ),
+                    marriedFilingJointly: schedule(
+                        [0, 0.01], [22158, 0.02], [52528, 0.04], [82904, 0.06], [115084, 0.08],
+                        [145448, 0.093], [742958, 0.103], [891542, 0.113], [1485906, 0.123]
+                    ),
+                    headOfHousehold: schedule(
+                        [0, 0.01], [22173, 0.02], [52530, 0.04], [67716, 0.06], [83805, 0.08],
+                        [98990, 0.093], [505208, 0.103], [606251, 0.113], [1010417, 0.123]
+                    )
+                },
+                standardDeduction: { single: 5706, marriedFilingJointly: 11412, marriedFilingSeparately: 5706, headOfHousehold: 11412 },
+                credits: {
+                    personal: 149,
+                    dependent: 461,
+                    dependentCare: { percentOfFederal: 0.34, incomeLimit: 100000, refundable: false },
+                    // Young Child Tax Credit: one per return with a child under 6
+                    child: { tiers: [{ maxAge: 5, amount: 1189 }], perReturn: true, refundable: true, phaseOut: { start: 27425, end: 32900 } }
+                },
+                // Mental Health Services Tax
+                surtaxes: [{ threshold: 1000000, rate: 0.01 }],
+                // California doesn't recognize HSAs
+                preTaxDeductions: { hsa: false },
+                // State Disability Insurance, uncapped since 2024
+                payrollTaxes: [{ name: 'SDI', label: 'State Disability Insurance', rate: 0.012 }]
+            },
+            'CO': {
+                name: 'Colorado',
+                type: 'flat',
+                rate: 0.044,
+                standardDeduction: 'federal',
+                credits: { earnedIncome: { percentOfFederal: 0.35, refundable: true } },
+                // FAMLI premium, split evenly with the employer
+                payrollTaxes: [{ name: 'FAMLI', label: 'Family and Medical Leave Insurance', rate: 0.0045, wageBase: 'socialSecurity' }]
+            },
+            'CT': {
+                name: 'Connecticut',
+                type: 'progressive',
+                brackets: {
+                    single: schedule(
+                        [0, 0.02], [10000, 0.045], [50000, 0.055], [100000, 0.06],
+                        [200000, 0.065], [250000, 0.069], [500000, 0.0699]
+                    ),
+                    marriedFilingJointly: schedule(
+                        [0, 0.02], [20000, 0.045], [100000, 0.055], [200000, 0.06],
+                        [400000, 0.065], [500000, 0.069], [1000000, 0.0699]
+                    ),
+                    headOfHousehold: schedule(
+                        [0, 0.02], [16000, 0.045], [80000, 0.055], [160000, 0.06],
+                        [320000, 0.065], [400000, 0.069], [800000, 0.0699]
+                    )
+                },
+                personalExemption: { single: 15000, marriedFilingJointly: 12000, marriedFilingSeparately: 12000, headOfHousehold: 19000 },
+                credits: { earnedIncome: { percentOfFederal: 0.40, refundable: true } },
+                payrollTaxes: [{ name: 'PFML', label: 'Paid Leave', rate: 0.005, wageBase: 'socialSecurity' }]
+            },
+            'DE': {
+                name: 'Delaware',
+                type: 'progressive',
+                brackets: schedule(
+                    [0, 0], [2000, 0.022], [5000, 0.039], [10000, 0.048],
+                    [20000, 0.052], [25000, 0.0555], [60000, 0.066]
+                ),
+                standardDeduction: { single: 3250, marriedFilingJointly: 6500, marriedFilingSeparately: 3250, headOfHousehold: 3250 },
+                credits: { personal: 110, dependent: 110 }
+            },
+            'DC': {
+                name: 'District of Columbia',
+                type: 'progressive',
+                brackets: schedule(
+                    [0, 0.04], [10000, 0.06], [40000, 0.065], [60000, 0.085],
+                    [250000, 0.0925], [500000, 0.0975], [1000000, 0.1075]
+                ),
+                standardDeduction: 'federal'
+            },
+            'FL': { name: 'Florida', type: 'none' },
+            'GA': {
+                name: 'Georgia',
+                type: 'flat',
+                rate: 0.0519,
+                standardDeduction: { single: 12000, marriedFilingJointly: 24000, marriedFilingSeparately: 12000, headOfHousehold: 12000 },
+                dependentExemption: 4000
+            },
+            'HI': {
+                name: 'Hawaii',
+                type: 'progressive',
+                brackets: {
+                    single: schedule(
+                        [0, 0.014], [9600, 0.032], [14400, 0.055], [19200, 0.064], [24000, 0.068], [36000, 0.072],
+                        [48000, 0.076], [125000, 0.079], [175000, 0.0825], [225000, 0.09], [275000, 0.10], [325000, 0.11]
+                    ),
+                    marriedFilingJointly: schedule(
+                        [0, 0.014], [19200, 0.032], [28800, 0.055], [38400, 0.064], [48000, 0.068], [72000, 0.072],
+                        [96000, 0.076], [250000, 0.079], [350000, 0.0825], [450000, 0.09], [550000, 0.10], [650000, 0.11]
+                    ),
+                    headOfHousehold: schedule(
+                        [0, 0.014], [14400, 0.032], [21600, 0.055], [28800, 0.064], [36000, 0.068], [54000, 0.072],
+                        [72000, 0.076], [187500, 0.079], [262500, 0.0825], [337500, 0.09], [412500, 0.10], [487500, 0.11]
+                    )
+                },
+                standardDeduction: { single: 4400, marriedFilingJointly: 8800, marriedFilingSeparately: 4400, headOfHousehold: 6424 },
+                personalExemption: 1144,
+                dependentExemption: 1144,
+                capitalGains: { maxRate: 0.0725 }
+            },
+            'ID': {
+                name: 'Idaho',
+                type: 'progressive',
+                brackets: {
+                    single: schedule([0, 0], [4811, 0.053]),
+                    marriedFilingJointly: schedule([0, 0], [9622, 0.053]),
+                    headOfHousehold: schedule([0, 0], [9622, 0.053])
+                },
+                standardDeduction: 'federal'
+            },
+            'IL': {
+                name: 'Illinois',
+                type: 'flat',
+                rate: 0.0495,
+                personalExemption: 2850,
+                dependentExemption: 2850,
+                credits: { earnedIncome: { percentOfFederal: 0.20, refundable: true } }
+            },
+            'IN': {
+                name: 'Indiana',
+                type: 'flat',
+                rate: 0.030,
+                personalExemption: 1000,
+                dependentExemption: 1500
+            },
+            'IA': {
+                name: 'Iowa',
+                type: 'flat',
+                rate: 0.038,
+                standardDeduction: 'federal'
+            },
+            'KS': {
+                name: 'Kansas',
+                type: 'progressive',
+                brackets: {
+                    single: schedule([0, 0.052], [23000, 0.0558]),
+                    marriedFilingJointly: schedule([0, 0.052], [46000, 0.0558])
+                },
+                standardDeduction: { single: 3605, marriedFilingJointly: 8240, marriedFilingSeparately: 4120, headOfHousehold: 6180 },
+                personalExemption: { single: 9160, marriedFilingJointly: 9160, marriedFilingSeparately: 9160, headOfHousehold: 18320 },
+                dependentExemption: 2320
+            },
+            'KY': {
+                name: 'Kentucky',
+                type: 'flat',
+                rate: 0.040,
+                standardDeduction: { single: 3270, marriedFilingJointly: 6540, marriedFilingSeparately: 3270, headOfHousehold: 3270 }
+            },
+            'LA': {
+                name: 'Louisiana',
+                type: 'flat',
+                rate: 0.030,
+                standardDeduction: { single: 12500, marriedFilingJointly: 25000, marriedFilingSeparately: 12500, headOfHousehold: 25000 },
+                itemizing: false
+            },
+            'ME': {
+                name: 'Maine',
+                type: 'progressive',
+                brackets: {
+                    single: schedule([0, 0.058], [26800, 0.0675], [63450, 0.0715]),
+                    marriedFilingJointly: schedule([0, 0.058], [53600, 0.0675], [126900, 0.0715]),
+                    headOfHousehold: schedule([0, 0.058], [40200, 0.0675], [95150, 0.0715])
+                },
+                standardDeduction: 'federal',
+                personalExemption: 5150,
+                dependentExemption: 0
+            },
+            'MD': {
+                name: 'Maryland',
+                type: 'progressive',
+                brackets: {
+                    single: schedule(
+                        [0, 0.02], [1000, 0.03], [2000, 0.04], [3000, 0.0475], [100000, 0.05],
+                        [125000, 0.0525], [150000, 0.055], [250000, 0.0575], [500000, 0.0625], [1000000, 0.065]
+                    ),
+                    marriedFilingJointly: schedule(
+                        [0, 0.02], [1000, 0.03], [2000, 0.04], [3000, 0.0475], [150000, 0.05],
+                        [175000, 0.0525], [225000, 0.055], [300000, 0.0575], [600000, 0.0625], [1200000, 0.065]
+                    ),
+                    headOfHousehold: schedule(
+                        [0, 0.02], [1000, 0.03], [2000, 0.04], [3000, 0.0475], [150000, 0.05],
+                        [175000, 0.0525], [225000, 0.055], [300000, 0.0575], [600000, 0.0625], [1200000, 0.065]
+                    )
+                },
+                standardDeduction: { single: 3350, marriedFilingJointly: 6700, marriedFilingSeparately: 3350, headOfHousehold: 6700 },
+                personalExemption: 3200,
+                dependentExemption: 3200,
+                credits: { earnedIncome: { percentOfFederal: 0.45, refundable: true } }
+            },
+            'MA': {
+                name: 'Massachusetts',
+                type: 'flat',
+                rate: 0.05,
+                personalExemption: { single: 4400, marriedFilingJointly: 4400, marriedFilingSeparately: 4400, headOfHousehold: 6800 },
+                dependentExemption: 1000,
+                credits: {
+                    earnedIncome: { percentOfFederal: 0.40, refundable: true },
+                    // Child and Family Tax Credit
+                    child: { tiers: [{ maxAge: 12, amount: 440 }], refundable: true }
+                },
+                // Millionaires' surtax
+                surtaxes: [{ threshold: 1083150, rate: 0.04 }],
+                // Short-term gains are taxed at 8.5% instead of the 5% rate
+                capitalGains: { shortTermRate: 0.085 },
+                // Employee share of the 0.88% PFML contribution (large employers)
+                payrollTaxes: [{ name: 'PFML', label: 'Paid Family and Medical Leave', rate: 0.0046, wageBase: 'socialSecurity' }]
+            },
+            'MI': {
+                name: 'Michigan',
+                type: 'flat',
+                rate: 0.0425,
+                personalExemption: 5800,
+                dependentExemption: 5800
+            },
+            'MN': {
+                name: 'Minnesota',
+                type: 'progressive',
+                brackets: {
+                    single: schedule([0, 0.0535], [32570, 0.068], [106990, 0.0785], [198630, 0.0985]),
+                    marriedFilingJointly: schedule([0, 0.0535], [47620, 0.068], [189180, 0.0785], [330410, 0.0985]),
+                    marriedFilingSeparately: schedule([0, 0.0535], [23810, 0.068], [94590, 0.0785], [165205, 0.0985]),
+                    headOfHousehold: schedule([0, 0.0535], [40100, 0.068], [161130, 0.0785], [264050, 0.0985])
+                },
+                standardDeduction: { single: 14950, marriedFilingJointly: 29900, marriedFilingSeparately: 14950, headOfHousehold: 22500 },
+                dependentExemption: 5200
+            },
+            'MS': {
+                name: 'Mississippi',
+                type: 'progressive',
+                brackets: schedule([0, 0], [10000, 0.044]),
+                standardDeduction: { single: 2300, marriedFilingJointly: 4600, marriedFilingSeparately: 2300, headOfHousehold: 3400 },
+                personalExemption: { single: 6000, marriedFilingJointly: 6000, marriedFilingSeparately: 6000, headOfHousehold: 8000 },
+                dependentExemption: 1500
+            },
+            'MO': {
+                name: 'Missouri',
+                type: 'progressive',
+                brackets: schedule(
+                    [0, 0], [1313, 0.02], [2626, 0.025], [3939, 0.03],
+                    [5252, 0.035], [6565, 0.04], [7878, 0.045], [9191, 0.047]
+                ),
+                standardDeduction: 'federal'
+            },
+            'MT': {
+                name: 'Montana',
+                type: 'progressive',
+                brackets: {
+                    single: schedule([0, 0.047], [21100, 0.059]),
+                    marriedFilingJointly: schedule([0, 0.047], [42200, 0.059]),
+                    headOfHousehold: schedule([0, 0.047], [31700, 0.059])
+                },
+                standardDeduction: 'federal',
+                // Long-term gains have their own schedule topping out at 4.1%
+                capitalGains: { maxRate: 0.041 }
+            },
+            'NE': {
+                name: 'Nebraska',
+                type: 'progressive',
+                brackets: {
+                    single: schedule([0, 0.0246], [4030, 0.0351], [24120, 0.0501], [38870, 0.052]),
+                    marriedFilingJointly: schedule([0, 0.0246], [8040, 0.0351], [48250, 0.0501], [77730, 0.052]),
+                    headOfHousehold: schedule([0, 0.0246], [7510, 0.0351], [38590, 0.0501], [57630, 0.052])
+                },
+                standardDeduction: { single: 8600, marriedFilingJointly: 17200, marriedFilingSeparately: 8600, headOfHousehold: 12600 },
+                credits: { personal: 171, dependent: 171 }
+            },
+            'NV': { name: 'Nevada', type: 'none' },
+            'NH': { name: 'New Hampshire', type: 'none' }, // Interest and dividends tax repealed for 2025
+            'NJ': {
+                name: 'New Jersey',
+                type: 'progressive',
+                brackets: {
+                    single: schedule(
+                        [0, 0.014], [20000, 0.0175], [35000, 0.035], [40000, 0.05525],
+                        [75000, 0.0637], [500000, 0.0897], [1000000, 0.1075]
+                    ),
+                    marriedFilingJointly: schedule(
+                        [0, 0.014], [20000, 0.0175], [50000, 0.0245], [70000, 0.035], [80000, 0.05525],
+                        [150000, 0.0637], [500000, 0.0897], [1000000, 0.1075]
+                    ),
+                    headOfHousehold: schedule(
+                        [0, 0.014], [20000, 0.0175], [50000, 0.0245], [70000, 0.035], [80000, 0.05525],
+                        [150000, 0.0637], [500000, 0.0897], [1000000, 0.1075]
+                    )
+                },
+                personalExemption: 1000,
+                dependentExemption: 1500,
+                credits: {
+                    earnedIncome: { percentOfFederal: 0.40, refundable: true },
+                    child: { tiers: [{ maxAge: 5, amount: 1000 }], refundable: true, phaseOut: { start: 30000, step: 10000, amount: 200 } }
+                },
+                // New Jersey doesn't recognize HSAs
+                preTaxDeductions: { hsa: false },
+                payrollTaxes: [
+                    { name: 'TDI', label: 'Temporary Disability Insurance', rate: 0.0023, wageBase: 165400 },
+                    { name: 'FLI', label: 'Family Leave Insurance', rate: 0.0033, wageBase: 165400 },
+                    { name: 'UI/WF', label: 'Unemployment and Workforce', rate: 0.00425, wageBase: 43300 }
+                ]
+            },
+            'NM': {
+                name: 'New Mexico',
+                type: 'progressive',
+                brackets: {
+                    single: schedule([0, 0.015], [5500, 0.032], [16500, 0.043], [33500, 0.047], [66500, 0.049], [210000, 0.059]),
+                    marriedFilingJointly: schedule([0, 0.015], [8000, 0.032], [25000, 0.043], [50000, 0.047], [100000, 0.049], [315000, 0.059]),
+                    marriedFilingSeparately: schedule([0, 0.015], [4000, 0.032], [12500, 0.043], [25000, 0.047], [50000, 0.049], [157500, 0.059]),
+                    headOfHousehold: schedule([0, 0.015], [8000, 0.032], [25000, 0.043], [50000, 0.047], [100000, 0.049], [315000, 0.059])
+                },
+                standardDeduction: 'federal'
+            },
+            'NY': {
+                name: 'New York',
+                type: 'progressive',
+                brackets: {
+                    single: schedule(
+                        [0, 0.04], [8500, 0.045], [11700, 0.0525], [13900, 0.055], [80650, 0.06],
+                        [215400, 0.0685], [1077550, 0.0965], [5000000, 0.103], [25000000, 0.109]
+                    ),
+                    marriedFilingJointly: schedule(
+                        [0, 0.04], [17150, 0.045], [23600, 0.0525], [27900, 0.055], [161550, 0.06],
+                        [323200, 0.0685], [2155350, 0.0965], [5000000, 0.103], [25000000, 0.109]
+                    ),
+                    headOfHousehold: schedule(
+                        [0, 0.04], [12800, 0.045], [17650, 0.0525], [20900, 0.055], [107650, 0.06],
+                        [269300, 0.0685], [1616450, 0.0965], [5000000, 0.103], [25000000, 0.109]
+                    )
+                },
+                standardDeduction: { single: 8000, marriedFilingJointly: 16050, marriedFilingSeparately: 8000, headOfHousehold: 11200 },
+                dependentExemption: 1000,
+                credits: {
+                    earnedIncome: { percentOfFederal: 0.30, refundable: true },
+                    dependentCare: { percentOfFederal: 0.20, refundable: true },
+                    // Empire State Child Credit
+                    child: {
+                        tiers: [{ maxAge: 3, amount: 1000 }, { maxAge: 16, amount: 330 }],
+                        refundable: true,
+                        phaseOut: { start: { single: 75000, marriedFilingJointly: 110000, marriedFilingSeparately: 55000 }, step: 1000, amount: 16.5 }
+                    }
+                },
+                payrollTaxes: [
+                    // Paid Family Leave, capped at the state average annual wage
+                    { name: 'PFL', label: 'Paid Family Leave', rate: 0.00388, wageBase: 91373.17 },
+                    // Disability Benefits Law: 0.5% of wages up to $0.60 a week
+                    { name: 'DBL', label: 'Disability Benefits', rate: 0.005, maxContribution: 31.20 }
+                ]
+            },
+            'NC': {
+                name: 'North Carolina',
+                type: 'flat',
+                rate: 0.0425,
+                standardDeduction: { single: 12750, marriedFilingJointly: 25500, marriedFilingSeparately: 12750, headOfHousehold: 19125 }
+            },
+            'ND': {
+                name: 'North Dakota',
+                type: 'progressive',
+                brackets: {
+                    single: schedule([0, 0], [48475, 0.0195], [244825, 0.025]),
+                    marriedFilingJointly: schedule([0, 0], [80975, 0.0195], [298075, 0.025]),
+                    marriedFilingSeparately: schedule([0, 0], [40475, 0.0195], [149038, 0.025]),
+                    headOfHousehold: schedule([0, 0], [64950, 0.0195], [271450, 0.025])
+                },
+                standardDeduction: 'federal',
+                capitalGains: { exclusion: 0.40 }
+            },
+            'OH': {
+                name: 'Ohio',
+                type: 'progressive',
+                brackets: schedule([0, 0], [26050, 0.0275], [100000, 0.03125]),
+                personalExemption: 1900,
+                dependentExemption: 1900
+            },
+            'OK': {
+                name: 'Oklahoma',
+                type: 'progressive',
+                brackets: {
+                    single: schedule([0, 0.0025], [1000, 0.0075], [2500, 0.0175], [3750, 0.0275], [4900, 0.0375], [7200, 0.0475]),
+                    marriedFilingJointly: schedule([0, 0.0025], [2000, 0.0075], [5000, 0.0175], [7500, 0.0275], [9800, 0.0375], [12200, 0.0475]),
+                    headOfHousehold: schedule([0, 0.0025], [2000, 0.0075], [5000, 0.0175], [7500, 0.0275], [9800, 0.0375], [12200, 0.0475])
+                },
+                standardDeduction: { single: 6350, marriedFilingJointly: 12700, marriedFilingSeparately: 6350, headOfHousehold: 9350 },
+                personalExemption: 1000,
+                dependentExemption: 1000
+            },
+            'OR': {
+                name: 'Oregon',
+                type: 'progressive',
+                brackets: {
+                    single: schedule([0, 0.0475], [4400, 0.0675], [11050, 0.0875], [125000, 0.099]),
+                    marriedFilingJointly: schedule([0, 0.0475], [8800, 0.0675], [22100, 0.0875], [250000, 0.099]),
+                    headOfHousehold: schedule([0, 0.0475], [8800, 0.0675], [22100, 0.0875], [250000, 0.099])
+                },
+                standardDeduction: { single: 2835, marriedFilingJointly: 5670, marriedFilingSeparately: 2835, headOfHousehold: 4560 },
+                credits: { personal: 256, dependent: 256 },
+                // Employee share (60%) of the 1% Paid Leave Oregon contribution, plus the statewide transit tax
+                payrollTaxes: [
+                    { name: 'Paid Leave', label: 'Paid Leave Oregon', rate: 0.006, wageBase: 'socialSecurity' },
+                    { name: 'Transit', label: 'Statewide Transit Tax', rate: 0.001 }
+                ]
+            },
+            'PA': {
+                name: 'Pennsylvania',
+                type: 'flat',
+                rate: 0.0307,
+                // 401(k) deferrals are taxable compensation in Pennsylvania
+                preTaxDeductions: { retirement401k: false },
+                payrollTaxes: [{ name: 'UC', label: 'Unemployment Compensation', rate: 0.0007 }]
+            },
+            'RI': {
+                name: 'Rhode Island',
+                type: 'progressive',
+                brackets: schedule([0, 0.0375], [79900, 0.0475], [181650, 0.0599]),
+                standardDeduction: { single: 10900, marriedFilingJointly: 21800, marriedFilingSeparately: 10900, headOfHousehold: 16350 },
+                itemizing: false,
+                personalExemption: 5100,
+                dependentExemption: 5100,
+                payrollTaxes: [{ name: 'TDI', label: 'Temporary Disability Insurance', rate: 0.012, wageBase: 89200 }]
+            },
+            'SC': {
+                name: 'South Carolina',
+                type: 'progressive',
+                brackets: schedule([0, 0], [3560, 0.03], [17830, 0.06]),
+                standardDeduction: 'federal',
+                capitalGains: { exclusion: 0.44 }
+            },
+            'SD': { name: 'South Dakota', type: 'none' },
+            'TN': { name: 'Tennessee', type: 'none' },
+            'TX': { name: 'Texas', type: 'none' },
+            'UT': {
+                name: 'Utah',
+                type: 'flat',
+                rate: 0.045,
+                // Taxpayer tax credit: 6% of the federal standard deduction, less 1.3% of Utah
+                // taxable income over the base phase-out amount
+                credits: {
+                    standardDeductionRate: 0.06,
+                    standardDeductionPhaseOut: {
+                        threshold: { single: 18213, marriedFilingJointly: 36426, marriedFilingSeparately: 18213, headOfHousehold: 27320 },
+                        rate: 0.013
+                    }
+                }
+            },
+            'VT': {
+                name: 'Vermont',
+                type: 'progressive',
+                brackets: {
+                    single: schedule([0, 0.0335], [47900, 0.066], [116000, 0.076], [242000, 0.0875]),
+                    marriedFilingJointly: schedule([0, 0.0335], [79950, 0.066], [193300, 0.076], [294600, 0.0875]),
+                    marriedFilingSeparately: schedule([0, 0.0335], [39975, 0.066], [96650, 0.076], [147300, 0.0875]),
+                    headOfHousehold: schedule([0, 0.0335], [64200, 0.066], [165700, 0.076], [268300, 0.0875])
+                },
+                standardDeduction: { single: 7400, marriedFilingJointly: 14850, marriedFilingSeparately: 7400, headOfHousehold: 11100 },
+                itemizing: false,
+                personalExemption: 5100,
+                dependentExemption: 5100,
+                credits: {
+                    earnedIncome: { percentOfFederal: 0.38, refundable: true },
+                    child: { tiers: [{ maxAge: 5, amount: 1000 }], refundable: true, phaseOut: { start: 125000, step: 1000, amount: 20 } }
+                }
+            },
+            'VA': {
+                name: 'Virginia',
+                type: 'progressive',
+                brackets: schedule([0, 0.02], [3000, 0.03], [5000, 0.05], [17000, 0.0575]),
+                standardDeduction: { single: 8750, marriedFilingJointly: 17500, marriedFilingSeparately: 8750, headOfHousehold: 8750 },
+                personalExemption: 930,
+                dependentExemption: 930
+            },
+            'WA': {
+                name: 'Washington',
+                type: 'none',
+                // Capital gains excise tax on long-term gains above the standard deduction
+                capitalGains: {
+                    excise: { deduction: 278000, brackets: schedule([0, 0.07], [1000000, 0.099]) }
+                },
+                payrollTaxes: [
+                    // Employee share (71.52%) of the 0.92% Paid Family and Medical Leave premium
+                    { name: 'PFML', label: 'Paid Family and Medical Leave', rate: 0.00658, wageBase: 'socialSecurity' },
+                    // WA Cares Fund (long-term care), uncapped
+                    { name: 'WA Cares', label: 'WA Cares Fund', rate: 0.0058 }
+                ]
+            },
+            'WV': {
+                name: 'West Virginia',
+                type: 'progressive',
+                brackets: schedule([0, 0.0222], [10000, 0.0296], [25000, 0.0333], [40000, 0.0444], [60000, 0.0482]),
+                personalExemption: 2000,
+                dependentExemption: 2000
+            },
+            'WI': {
+                name: 'Wisconsin',
+                type: 'progressive',
+                brackets: {
+                    single: schedule([0, 0.035], [14680, 0.044], [29370, 0.053], [323290, 0.0765]),
+                    marriedFilingJointly: schedule([0, 0.035], [19580, 0.044], [39150, 0.053], [431060, 0.0765]),
+                    marriedFilingSeparately: schedule([0, 0.035], [9790, 0.044], [19575, 0.053], [215530, 0.0765]),
+                    headOfHousehold: schedule([0, 0.035], [14680, 0.044], [29370, 0.053], [323290, 0.0765])
+                },
+                // Sliding-scale deduction, shown at its maximum
+                standardDeduction: { single: 13560, marriedFilingJointly: 25110, marriedFilingSeparately: 11920, headOfHousehold: 17520 },
+                itemizing: false,
+                personalExemption: 700,
+                dependentExemption: 700,
+                capitalGains: { exclusion: 0.30 }
+            },
+            'WY': { name: 'Wyoming', type: 'none' }
+        }
+    };
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StateTaxTables;
+} else {
+    window.StateTaxTables = StateTaxTables;
+}
@@ -8,7 +8,7 @@ class ConsciousSpendingApp {
         // Initialize core components
         this.storage = new StorageManager();
         this.taxCalc = new TaxCalculator();
-        this.calculator = new HouseholdCalculator(this.taxCalc);
+        this.calculator = new HouseholdCalculator(this.taxCalc, new WithholdingCalculator(this.taxCalc));
         this.scenarioManager = new ScenarioManager(this.storage);
         this.visualization = new VisualizationManager();
         
@@ -42,6 +42,10 @@ class ConsciousSpendingApp {
 
             // Populate scenario list
             this.populateScenarioList();
+
+            // Populate state and tax year dropdowns from the tax tables
+            this.populateStateSelector();
+            this.populateTaxYearSelector();
             
             // Initialize visualization
             this.visualization.initializeCharts();
@@ -64,10 +68,11 @@ class ConsciousSpendingApp {
      * Set up all event listeners
      */
     setupEventListeners() {
-        // View toggle buttons
-        document.querySelectorAll('.view-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => this.handleViewChange(e));
-        });
+        // View toggle buttons (one per member, so listen on the toggle)
+        const viewToggle = document.querySelector('.view-toggle');
+        if (viewToggle) {
+            viewToggle.addEventListener('click', (e) => this.handleViewChange(e));
+        }
         
         // Tab navigation
         document.querySelectorAll('.nav-tab').forEach(tab => {
@@ -108,16 +113,46 @@ class ConsciousSpendingApp {
      * Set up income form listeners
      */
     setupIncomeFormListeners() {
+        // Member inputs are listened to as each member's card is rendered
         const incomeInputs = [
-            // Person 1 inputs
-            'person1Salary', 'person1Bonus', 'person1Other', 'person1PayFreq',
-            'person1_401k', 'person1Health', 'person1HSA', 'person1Other401k',
-            // Person 2 inputs
-            'person2Salary', 'person2Bonus', 'person2Other', 'person2PayFreq',
-            'person2_401k', 'person2Health', 'person2HSA', 'person2Other401k'
+            'householdState', 'householdLocality', 'householdFilingStatus', 'jointTaxAllocation', 'studentLoanRepayment',
+            'householdTaxYear', 'taxInflationRate',
+            'householdMortgageInterest', 'householdPropertyTax', 'householdCharitable', 'householdMedical',
+            'householdInterest', 'householdQualifiedDividends', 'householdShortTermGains', 'householdLongTermGains',
+            'priorYearTax', 'priorYearAGI', 'checkingBalance'
         ];
         
-        incomeInputs.forEach(inputId => {
+        const addMemberBtn = document.getElementById('addMemberBtn');
+        if (addMemberBtn) {
+            addMemberBtn.addEventListener('click', () => this.addMember());
+        }
+
+        const addDependentBtn = document.getElementById('addDependentBtn');
+        if (addDependentBtn) {
+            addDependentBtn.addEventListener('click', () => this.addDependent());
+        }
+
+        const addResidencyBtn = document.getElementById('addResidencyBtn');
+        if (addResidencyBtn) {
+            addResidencyBtn.addEventListener('click', () => this.addResidencyPeriod());
+        }
+
+        const paycheckMember = document.getElementById('paycheckMember');
+        if (paycheckMember) {
+            paycheckMember.addEventListener('change', () => this.renderPaycheckStubs());
+        }
+
+        this.listenToIncomeInputs(incomeInputs);
+
+        // Set up expense form listeners
+        this.setupExpenseFormListeners();
+    }
+
+    /**
+     * Recalculate as income inputs change, and validate and save when they lose focus
+     */
+    listenToIncomeInputs(inputIds) {
+        inputIds.forEach(inputId => {
             const input = document.getElementById(inputId);
             if (input) {
                 input.addEventListener('input', () => this.handleIncomeChange());
@@ -128,9 +163,22 @@ class ConsciousSpendingApp {
                 });
             }
         });
+    }
 
-        // Set up expense form listeners
-        this.setupExpenseFormListeners();
+    /**
+     * Get the ids of a member's income card inputs
+     */
+    getMemberInputIds(member) {
+        return [
+            'NameInput', 'FilingStatus', 'PriorYearTax', 'PriorYearAGI',
+            'Salary', 'Bonus', 'Other', 'PayFreq', 'FirstPayDate', 'WorkState',
+            'SelfEmployment', 'BusinessExpenses', 'IsoSpread',
+            'Age', 'HsaCoverage', 'DependentCareFsa', 'PreTaxIra',
+            '_401k', 'Health', 'HSA', 'Other401k',
+            'Roth401k', 'AfterTax401k',
+            'W4Status', 'W4MultipleJobs', 'W4Credits', 'W4OtherIncome',
+            'W4Deductions', 'W4Extra', 'BonusMonth'
+        ].map(field => `${member}${field}`);
     }
 
     /**
@@ -167,7 +215,19 @@ class ConsciousSpendingApp {
             'subscriptionsAssigned', 'giftsAssigned', 'miscellaneousAssigned'
         ];
         
-        [...expenseInputs, ...assignmentSelects].forEach(inputId => {
+        // Each item's frequency, due month and due year pickers are added after its amount
+        this.renderExpenseScheduleControls(expenseInputs);
+        const scheduleSelects = expenseInputs.flatMap(inputId => [`${inputId}Frequency`, `${inputId}DueMonth`, `${inputId}DueYear`]);
+        expenseInputs.forEach(inputId => {
+            const frequency = document.getElementById(`${inputId}Frequency`);
+            if (frequency) {
+                frequency.addEventListener('change', () => this.updateDueMonthVisibility(inputId));
+            }
+        });
+
+        const splitInputs = ['expenseSplitMethod', 'expenseSplitCoveredBy', 'expenseSplitCoverLimit'];
+
+        [...expenseInputs, ...assignmentSelects, ...scheduleSelects, ...splitInputs].forEach(inputId => {
             const input = document.getElementById(inputId);
             if (input) {
                 input.addEventListener('input', () => this.handleExpenseChange());
@@ -179,6 +239,16 @@ class ConsciousSpendingApp {
             }
         });
 
+        const splitMethod = document.getElementById('expenseSplitMethod');
+        if (splitMethod) {
+            splitMethod.addEventListener('change', () => this.updateExpenseSplitVisibility());
+        }
+
+        const addSharedPaymentBtn = document.getElementById('addSharedPaymentBtn');
+        if (addSharedPaymentBtn) {
+            addSharedPaymentBtn.addEventListener('click', () => this.addSharedPayment());
+        }
+
         // Expense action buttons
         const resetBtn = document.getElementById('resetExpensesBtn');
         const optimizeBtn = document.getElementById('optimizeExpensesBtn');
@@ -287,7 +357,235 @@ class ConsciousSpendingApp {
     }
 
     /**
-     * Handle view change (person1/combined/person2)
+     * Populate state dropdown from the state tax tables
+     */
+    populateStateSelector() {
+        const states = Object.entries(this.taxCalc.stateTaxRates)
+            .sort(([, a], [, b]) => a.name.localeCompare(b.name));
+
+        ['settingsState', 'householdState'].forEach(selectorId => {
+            const selector = document.getElementById(selectorId);
+            if (!selector) return;
+
+            selector.innerHTML = '';
+            states.forEach(([code, stateInfo]) => {
+                const option = document.createElement('option');
+                option.value = code;
+                option.textContent = stateInfo.name;
+                selector.appendChild(option);
+            });
+        });
+
+        // Re-apply the scenario's states now that the options exist
+        const currentScenario = this.scenarioManager.getCurrentScenario();
+        if (currentScenario) {
+            this.setInputValue('householdState', currentScenario.household.location.state);
+            this.populateLocalityOptions(currentScenario.household.location.state);
+            this.getMembers(currentScenario).forEach(member => {
+                this.populateWorkStateOptions(member);
+                this.setInputValue(`${member}WorkState`, currentScenario.income[member].workState || '');
+            });
+            this.renderResidencyPeriods(currentScenario.household.residencyPeriods || []);
+        }
+    }
+
+    /**
+     * Fill a member's work state dropdown; a blank work state means the job is where
+     * the household lives
+     */
+    populateWorkStateOptions(member) {
+        const selector = document.getElementById(`${member}WorkState`);
+        if (!selector) return;
+
+        selector.innerHTML = '<option value="">Same as residence</option>';
+        Object.entries(this.taxCalc.stateTaxRates)
+            .sort(([, a], [, b]) => a.name.localeCompare(b.name))
+            .forEach(([code, stateInfo]) => {
+                const option = document.createElement('option');
+                option.value = code;
+                option.textContent = stateInfo.name;
+                selector.appendChild(option);
+            });
+    }
+
+    /**
+     * Get the current scenario's member ids, in order
+     */
+    getMembers(scenario = this.scenarioManager.getCurrentScenario()) {
+        return scenario ? this.calculator.getMembers(scenario) : [];
+    }
+
+    /**
+     * Get a member's display name, falling back to their position in the household
+     */
+    getMemberName(scenario, member) {
+        const person = scenario.income[member];
+        return (person && person.name) || `Member ${this.getMembers(scenario).indexOf(member) + 1}`;
+    }
+
+    /**
+     * Render an income card per member from the card template, replacing any cards
+     * from the previous scenario
+     */
+    renderMemberCards(scenario) {
+        const template = document.getElementById('memberIncomeTemplate');
+        const summaryCard = document.getElementById('householdSummaryCard');
+        if (!template || !summaryCard) return;
+
+        const members = this.getMembers(scenario);
+        document.querySelectorAll('.member-income-card').forEach(card => card.remove());
+        members.forEach(member => {
+            const wrapper = document.createElement('div');
+            wrapper.innerHTML = template.innerHTML.replace(/\{member\}/g, member);
+            const card = wrapper.firstElementChild;
+            // A household needs at least one member
+            card.querySelector('.remove-member-btn').style.display = members.length > 1 ? '' : 'none';
+            summaryCard.parentElement.insertBefore(card, summaryCard);
+
+            this.populateWorkStateOptions(member);
+            this.listenToIncomeInputs(this.getMemberInputIds(member));
+        });
+    }
+
+    /**
+     * Label the member cards and rebuild every member picker: the view toggle, the
+     * default view setting, the paycheck selector and the expense assignments
+     */
+    renderMemberOptions(scenario) {
+        const members = this.getMembers(scenario);
+        const names = members.map(member => [member, this.getMemberName(scenario, member)]);
+
+        names.forEach(([member, name]) => {
+            this.updateElement(`${member}CardTitle`, name);
+            this.updateElement(`${member}Name`, name);
+            this.updateElement(`${member}SplitShareLabel`, `${name} (%)`);
+        });
+
+        const viewToggle = document.querySelector('.view-toggle');
+        if (viewToggle) {
+            viewToggle.querySelectorAll('.view-btn:not(#combinedView)').forEach(btn => btn.remove());
+            names.forEach(([member, name]) => {
+                const btn = document.createElement('button');
+                btn.id = `${member}View`;
+                btn.className = 'view-btn';
+                btn.dataset.view = member;
+                btn.textContent = name;
+                viewToggle.appendChild(btn);
+            });
+        }
+        if (this.currentView !== 'combined' && !members.includes(this.currentView)) {
+            this.currentView = 'combined';
+        }
+        document.querySelectorAll('.view-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.view === this.currentView);
+        });
+
+        // "split:" assignments are shared items that override the household's split
+        const assignments = [
+            ['shared', 'Shared'],
+            ['split:equal', 'Shared equally'],
+            ['split:grossIncome', 'Shared by gross income'],
+            ['split:netIncome', 'Shared by take-home pay'],
+            ['split:custom', 'Shared (custom split)'],
+            ...names
+        ];
+        document.querySelectorAll('select.assignment-select[id$="Assigned"]').forEach(select => {
+            this.fillSelectOptions(select, assignments, 'shared');
+        });
+        const coveredBy = document.getElementById('expenseSplitCoveredBy');
+        if (coveredBy) this.fillSelectOptions(coveredBy, names, members[0]);
+        const paycheckMember = document.getElementById('paycheckMember');
+        if (paycheckMember) this.fillSelectOptions(paycheckMember, names, members[0]);
+        const defaultView = document.getElementById('settingsDefaultView');
+        if (defaultView) this.fillSelectOptions(defaultView, [['combined', 'Combined'], ...names], 'combined');
+    }
+
+    /**
+     * Fill a picker with [value, label] options, keeping its choice when it's still offered
+     * Labels are set as text, so member names can't inject markup
+     */
+    fillSelectOptions(select, options, fallback) {
+        const value = select.value;
+        select.innerHTML = '';
+        options.forEach(([optionValue, label]) => {
+            const option = document.createElement('option');
+            option.value = optionValue;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = options.some(([optionValue]) => optionValue === value) ? value : fallback;
+    }
+
+    /**
+     * Add a member to the current scenario
+     */
+    addMember() {
+        const currentScenario = this.scenarioManager.getCurrentScenario();
+        if (!currentScenario) return;
+
+        this.updateScenarioFromForm();
+        this.scenarioManager.addMember(currentScenario);
+        this.loadScenarioData(currentScenario);
+        this.updateCalculations();
+        this.saveCurrentScenario();
+    }
+
+    /**
+     * Remove a member from the current scenario
+     */
+    removeMember(member) {
+        const currentScenario = this.scenarioManager.getCurrentScenario();
+        if (!currentScenario) return;
+
+        this.updateScenarioFromForm();
+        if (!this.scenarioManager.removeMember(currentScenario, member)) return;
+        this.loadScenarioData(currentScenario);
+        this.updateCalculations();
+        this.saveCurrentScenario();
+    }
+
+    /**
+     * Populate the tax year dropdown: published federal tables plus projected future years
+     */
+    populateTaxYearSelector(projectedYears = 5) {
+        const selector = document.getElementById('householdTaxYear');
+        if (!selector) return;
+
+        const publishedYears = this.taxCalc.getPublishedTaxYears();
+        const latestYear = publishedYears[publishedYears.length - 1];
+
+        selector.innerHTML = '';
+        for (let year = publishedYears[0]; year <= latestYear + projectedYears; year++) {
+            const option = document.createElement('option');
+            option.value = year;
+            option.textContent = year > latestYear ? `${year} (projected)` : `${year}`;
+            selector.appendChild(option);
+        }
+
+        // Re-apply the scenario's tax year now that the options exist
+        const currentScenario = this.scenarioManager.getCurrentScenario();
+        if (currentScenario) {
+            this.setInputValue('householdTaxYear', currentScenario.household.taxYear || this.taxCalc.federalTaxTables.defaultYear);
+        }
+    }
+
+    /**
+     * Suggest the taxing localities for a state in the city/county field
+     */
+    populateLocalityOptions(state) {
+        const datalist = document.getElementById('localityOptions');
+        if (!datalist) return;
+
+        datalist.innerHTML = '';
+        this.taxCalc.getLocalities(state).forEach(locality => {
+            const option = document.createElement('option');
+            option.value = locality;
+            datalist.appendChild(option);
+        });
+    }
+
+    /**
+     * Handle view change (combined or a member)
      */
     handleViewChange(event) {
         const newView = event.target.dataset.view;
@@ -365,30 +663,79 @@ class ConsciousSpendingApp {
     loadScenarioData(scenario) {
         if (!scenario) return;
         
-        // Load person 1 income data
-        const person1 = scenario.income.person1;
-        this.setInputValue('person1Salary', person1.salary);
-        this.setInputValue('person1Bonus', person1.bonus);
-        this.setInputValue('person1Other', person1.otherIncome);
-        this.setInputValue('person1PayFreq', person1.payFrequency);
-        this.setInputValue('person1_401k', person1.preTexDeductions?.retirement401k);
-        this.setInputValue('person1Health', person1.preTexDeductions?.healthInsurance);
-        this.setInputValue('person1HSA', person1.preTexDeductions?.hsa);
-        this.setInputValue('person1Other401k', person1.preTexDeductions?.other || 0);
-        
-        // Load person 2 income data
-        const person2 = scenario.income.person2;
-        this.setInputValue('person2Salary', person2.salary);
-        this.setInputValue('person2Bonus', person2.bonus);
-        this.setInputValue('person2Other', person2.otherIncome);
-        this.setInputValue('person2PayFreq', person2.payFrequency);
-        this.setInputValue('person2_401k', person2.preTexDeductions?.retirement401k);
-        this.setInputValue('person2Health', person2.preTexDeductions?.healthInsurance);
-        this.setInputValue('person2HSA', person2.preTexDeductions?.hsa);
-        this.setInputValue('person2Other401k', person2.preTexDeductions?.other || 0);
+        // Load household tax settings
+        this.setInputValue('householdState', scenario.household.location.state);
+        this.setInputValue('householdLocality', scenario.household.location.locality || '');
+        this.populateLocalityOptions(scenario.household.location.state);
+        this.setInputValue('householdFilingStatus', scenario.household.filingStatus);
+        this.setInputValue('jointTaxAllocation', scenario.household.jointTaxAllocation || 'proRata');
+        this.setInputValue('studentLoanRepayment', scenario.household.studentLoanRepayment || 'standard');
+        this.setInputValue('householdTaxYear', scenario.household.taxYear || this.taxCalc.federalTaxTables.defaultYear);
+        this.setInputValue('taxInflationRate', ((scenario.household.taxInflationRate !== undefined
+            ? scenario.household.taxInflationRate
+            : this.taxCalc.federalTaxTables.inflationRate) * 100).toFixed(1));
+
+        const itemized = scenario.household.itemizedDeductions || {};
+        this.setInputValue('householdMortgageInterest', itemized.mortgageInterest || 0);
+        this.setInputValue('householdPropertyTax', itemized.propertyTax || 0);
+        this.setInputValue('householdCharitable', itemized.charitableGiving || 0);
+        this.setInputValue('householdMedical', itemized.medicalExpenses || 0);
+
+        const investments = scenario.household.investmentIncome || {};
+        this.setInputValue('householdInterest', investments.interest || 0);
+        this.setInputValue('householdQualifiedDividends', investments.qualifiedDividends || 0);
+        this.setInputValue('householdShortTermGains', investments.shortTermCapitalGains || 0);
+        this.setInputValue('householdLongTermGains', investments.longTermCapitalGains || 0);
+
+        const estimatedTaxes = scenario.household.estimatedTaxes || {};
+        this.setInputValue('priorYearTax', estimatedTaxes.priorYearTax || 0);
+        this.setInputValue('priorYearAGI', estimatedTaxes.priorYearAGI || 0);
+        this.setInputValue('checkingBalance', scenario.household.checkingBalance || 0);
+        this.renderDependents(scenario.household.dependents || []);
+        this.renderResidencyPeriods(scenario.household.residencyPeriods || []);
+
+        // Load each member's income data
+        this.renderMemberCards(scenario);
+        this.renderMemberOptions(scenario);
+        this.getMembers(scenario).forEach(member => this.loadMemberIntoForm(scenario, member));
+        this.updateIncomeFormVisibility();
 
         // Load expense data
         this.loadExpenseData(scenario.expenses);
+        this.renderExpenseSplit(scenario, scenario.household.expenseSplit || { method: 'equal' });
+        this.renderSharedPayments(scenario.household.sharedPayments || []);
+    }
+
+    /**
+     * Fill a member's income card
+     */
+    loadMemberIntoForm(scenario, member) {
+        const person = scenario.income[member];
+        this.setInputValue(`${member}NameInput`, person.name || '');
+        this.setInputValue(`${member}FilingStatus`, person.filingStatus || '');
+        this.setInputValue(`${member}Salary`, person.salary);
+        this.setInputValue(`${member}Bonus`, person.bonus);
+        this.setInputValue(`${member}Other`, person.otherIncome);
+        this.setInputValue(`${member}PayFreq`, person.payFrequency);
+        this.setInputValue(`${member}FirstPayDate`, person.firstPayDate || '');
+        this.setInputValue(`${member}PriorYearTax`, person.estimatedTaxes?.priorYearTax || 0);
+        this.setInputValue(`${member}PriorYearAGI`, person.estimatedTaxes?.priorYearAGI || 0);
+        this.setInputValue(`${member}WorkState`, person.workState || '');
+        this.setInputValue(`${member}BonusMonth`, person.bonusMonth || 12);
+        this.loadW4IntoForm(member, this.calculator.withholding.getW4(person, this.calculator.getFilingStatus(scenario, member)));
+        this.setInputValue(`${member}SelfEmployment`, person.selfEmployment?.income || 0);
+        this.setInputValue(`${member}BusinessExpenses`, person.selfEmployment?.expenses || 0);
+        this.setInputValue(`${member}IsoSpread`, person.isoExerciseSpread || 0);
+        this.setInputValue(`${member}Age`, person.age || 35);
+        this.setInputValue(`${member}HsaCoverage`, person.hsaCoverage || 'self');
+        this.setInputValue(`${member}PreTaxIra`, person.preTaxIraBalance || 0);
+        this.setInputValue(`${member}_401k`, person.preTexDeductions?.retirement401k);
+        this.setInputValue(`${member}Health`, person.preTexDeductions?.healthInsurance);
+        this.setInputValue(`${member}HSA`, person.preTexDeductions?.hsa);
+        this.setInputValue(`${member}Other401k`, person.preTexDeductions?.other || 0);
+        this.setInputValue(`${member}DependentCareFsa`, person.preTexDeductions?.dependentCareFsa || 0);
+        this.setInputValue(`${member}Roth401k`, person.afterTaxDeductions?.roth401k || 0);
+        this.setInputValue(`${member}AfterTax401k`, person.afterTaxDeductions?.afterTax401k || 0);
     }
 
     /**
@@ -422,36 +769,44 @@ class ConsciousSpendingApp {
         const currentScenario = this.scenarioManager.getCurrentScenario();
         if (!currentScenario) return;
         
-        // Update person 1 data
-        if (currentScenario.income.person1) {
-            currentScenario.income.person1.salary = this.getInputValue('person1Salary', 0);
-            currentScenario.income.person1.bonus = this.getInputValue('person1Bonus', 0);
-            currentScenario.income.person1.otherIncome = this.getInputValue('person1Other', 0);
-            currentScenario.income.person1.payFrequency = this.getInputValue('person1PayFreq', 'biweekly');
-            
-            if (!currentScenario.income.person1.preTexDeductions) {
-                currentScenario.income.person1.preTexDeductions = {};
-            }
-            currentScenario.income.person1.preTexDeductions.retirement401k = this.getInputValue('person1_401k', 0);
-            currentScenario.income.person1.preTexDeductions.healthInsurance = this.getInputValue('person1Health', 0);
-            currentScenario.income.person1.preTexDeductions.hsa = this.getInputValue('person1HSA', 0);
-            currentScenario.income.person1.preTexDeductions.other = this.getInputValue('person1Other401k', 0);
-        }
-        
-        // Update person 2 data
-        if (currentScenario.income.person2) {
-            currentScenario.income.person2.salary = this.getInputValue('person2Salary', 0);
-            currentScenario.income.person2.bonus = this.getInputValue('person2Bonus', 0);
-            currentScenario.income.person2.otherIncome = this.getInputValue('person2Other', 0);
-            currentScenario.income.person2.payFrequency = this.getInputValue('person2PayFreq', 'monthly');
-            
-            if (!currentScenario.income.person2.preTexDeductions) {
-                currentScenario.income.person2.preTexDeductions = {};
-            }
-            currentScenario.income.person2.preTexDeductions.retirement401k = this.getInputValue('person2_401k', 0);
-            currentScenario.income.person2.preTexDeductions.healthInsurance = this.getInputValue('person2Health', 0);
-            currentScenario.income.person2.preTexDeductions.hsa = this.getInputValue('person2HSA', 0);
-            currentScenario.income.person2.preTexDeductions.other = this.getInputValue('person2Other401k', 0);
+        // Update household tax settings
+        currentScenario.household.location.state = this.getSelectValue('householdState', currentScenario.household.location.state);
+        currentScenario.household.location.locality = this.getSelectValue('householdLocality', '');
+        this.populateLocalityOptions(currentScenario.household.location.state);
+        currentScenario.household.filingStatus = this.getSelectValue('householdFilingStatus', currentScenario.household.filingStatus);
+        currentScenario.household.jointTaxAllocation = this.getSelectValue('jointTaxAllocation', 'proRata');
+        currentScenario.household.studentLoanRepayment = this.getSelectValue('studentLoanRepayment', 'standard');
+        currentScenario.household.taxYear = parseInt(this.getSelectValue('householdTaxYear', currentScenario.household.taxYear), 10);
+        // 0% is a valid index, so only an empty field falls back to the default
+        const inflationInput = document.getElementById('taxInflationRate');
+        const inflationRate = inflationInput ? parseFloat(inflationInput.value) : NaN;
+        currentScenario.household.taxInflationRate = (isNaN(inflationRate) ? 2.5 : inflationRate) / 100;
+        currentScenario.household.itemizedDeductions = {
+            mortgageInterest: this.getInputValue('householdMortgageInterest', 0),
+            propertyTax: this.getInputValue('householdPropertyTax', 0),
+            charitableGiving: this.getInputValue('householdCharitable', 0),
+            medicalExpenses: this.getInputValue('householdMedical', 0)
+        };
+        currentScenario.household.investmentIncome = {
+            interest: this.getInputValue('householdInterest', 0),
+            qualifiedDividends: this.getInputValue('householdQualifiedDividends', 0),
+            shortTermCapitalGains: this.getInputValue('householdShortTermGains', 0),
+            longTermCapitalGains: this.getInputValue('householdLongTermGains', 0)
+        };
+        currentScenario.household.estimatedTaxes = {
+            priorYearTax: this.getInputValue('priorYearTax', 0),
+            priorYearAGI: this.getInputValue('priorYearAGI', 0)
+        };
+        currentScenario.household.checkingBalance = this.getInputValue('checkingBalance', 0);
+        currentScenario.household.dependents = this.readDependentsFromForm();
+        currentScenario.household.residencyPeriods = this.readResidencyPeriodsFromForm();
+
+        // Update each member's data; renamed members relabel the member pickers
+        const members = this.getMembers(currentScenario);
+        const names = members.map(member => currentScenario.income[member].name);
+        members.forEach(member => this.updateMemberFromForm(currentScenario.income[member], member));
+        if (members.some((member, index) => currentScenario.income[member].name !== names[index])) {
+            this.renderMemberOptions(currentScenario);
         }
         
         // Update expense data
@@ -461,6 +816,46 @@ class ConsciousSpendingApp {
         this.scenarioManager.saveScenario(this.scenarioManager.currentScenario, currentScenario);
     }
 
+    /**
+     * Read a member's income card back into their income record
+     */
+    updateMemberFromForm(person, member) {
+        person.name = this.getSelectValue(`${member}NameInput`, '').trim();
+        person.filingStatus = this.getSelectValue(`${member}FilingStatus`, '') || null;
+        person.salary = this.getInputValue(`${member}Salary`, 0);
+        person.bonus = this.getInputValue(`${member}Bonus`, 0);
+        person.otherIncome = this.getInputValue(`${member}Other`, 0);
+        person.payFrequency = this.getSelectValue(`${member}PayFreq`, 'biweekly');
+        person.firstPayDate = this.getSelectValue(`${member}FirstPayDate`, '') || null;
+        const priorYearTax = this.getInputValue(`${member}PriorYearTax`, 0);
+        const priorYearAGI = this.getInputValue(`${member}PriorYearAGI`, 0);
+        person.estimatedTaxes = priorYearTax > 0 || priorYearAGI > 0 ? { priorYearTax, priorYearAGI } : null;
+        person.workState = this.getSelectValue(`${member}WorkState`, '') || null;
+        person.bonusMonth = parseInt(this.getSelectValue(`${member}BonusMonth`, '12'), 10);
+        person.w4 = this.readW4FromForm(member);
+        person.selfEmployment = {
+            income: this.getInputValue(`${member}SelfEmployment`, 0),
+            expenses: this.getInputValue(`${member}BusinessExpenses`, 0)
+        };
+        person.isoExerciseSpread = this.getInputValue(`${member}IsoSpread`, 0);
+        person.age = this.getInputValue(`${member}Age`, 35);
+        person.hsaCoverage = this.getSelectValue(`${member}HsaCoverage`, 'self');
+        person.preTaxIraBalance = this.getInputValue(`${member}PreTaxIra`, 0);
+        
+        if (!person.preTexDeductions) {
+            person.preTexDeductions = {};
+        }
+        person.preTexDeductions.retirement401k = this.getInputValue(`${member}_401k`, 0);
+        person.preTexDeductions.healthInsurance = this.getInputValue(`${member}Health`, 0);
+        person.preTexDeductions.hsa = this.getInputValue(`${member}HSA`, 0);
+        person.preTexDeductions.other = this.getInputValue(`${member}Other401k`, 0);
+        person.preTexDeductions.dependentCareFsa = this.getInputValue(`${member}DependentCareFsa`, 0);
+        person.afterTaxDeductions = {
+            roth401k: this.getInputValue(`${member}Roth401k`, 0),
+            afterTax401k: this.getInputValue(`${member}AfterTax401k`, 0)
+        };
+    }
+
     /**
      * Get input value safely
      */
@@ -473,6 +868,41 @@ class ConsciousSpendingApp {
         return defaultValue;
     }
 
+    /**
+     * Get select (string) value safely
+     */
+    getSelectValue(inputId, defaultValue = '') {
+        const input = document.getElementById(inputId);
+        return input && input.value ? input.value : defaultValue;
+    }
+
+    /**
+     * Fill a person's W-4 fields
+     */
+    loadW4IntoForm(member, w4) {
+        this.setInputValue(`${member}W4Status`, w4.filingStatus);
+        const multipleJobs = document.getElementById(`${member}W4MultipleJobs`);
+        if (multipleJobs) multipleJobs.checked = Boolean(w4.multipleJobs);
+        this.setInputValue(`${member}W4Credits`, w4.dependentCredits);
+        this.setInputValue(`${member}W4OtherIncome`, w4.otherIncome);
+        this.setInputValue(`${member}W4Deductions`, w4.deductions);
+        this.setInputValue(`${member}W4Extra`, w4.extraWithholding);
+    }
+
+    /**
+     * Read a person's W-4 fields
+     */
+    readW4FromForm(member) {
+        return {
+            filingStatus: this.getSelectValue(`${member}W4Status`, 'single'),
+            multipleJobs: Boolean(document.getElementById(`${member}W4MultipleJobs`)?.checked),
+            dependentCredits: this.getInputValue(`${member}W4Credits`, 0),
+            otherIncome: this.getInputValue(`${member}W4OtherIncome`, 0),
+            deductions: this.getInputValue(`${member}W4Deductions`, 0),
+            extraWithholding: this.getInputValue(`${member}W4Extra`, 0)
+        };
+    }
+
     /**
      * Update calculations and visualizations
      */
@@ -487,6 +917,7 @@ class ConsciousSpendingApp {
             // Update all UI components
             this.updateIncomeDisplays(calculations);
             this.updateExpenseSummaries();
+            this.updateSettleUpDisplay(calculations);
             this.updateDashboardStats(calculations);
             this.updateRamitBreakdownDisplay(calculations);
             this.updateProjectionSummary();
@@ -506,38 +937,515 @@ class ConsciousSpendingApp {
     updateIncomeDisplays(calculations) {
         if (!calculations) return;
 
-        // Update person 1 displays
-        if (calculations.person1) {
-            this.updateElement('person1GrossIncome', this.formatCurrency(calculations.person1.gross));
-            this.updateElement('person1NetIncome', this.formatCurrency(calculations.person1.netAnnual));
-        }
+        // Update each member's displays
+        const memberCalcs = calculations.members.map(member => calculations[member]);
+        calculations.members.forEach(member => {
+            this.updateElement(`${member}GrossIncome`, this.formatCurrency(calculations[member].gross));
+            this.updateElement(`${member}NetIncome`, this.formatCurrency(calculations[member].netAnnual));
+        });
+        const sumMembers = (getAmount) => memberCalcs.reduce((sum, calc) => sum + (getAmount(calc) || 0), 0);
 
-        // Update person 2 displays
-        if (calculations.person2) {
-            this.updateElement('person2GrossIncome', this.formatCurrency(calculations.person2.gross));
-            this.updateElement('person2NetIncome', this.formatCurrency(calculations.person2.netAnnual));
-        }
+        // Every comparison starts from this update's calculations rather than rerunning them
+        this.updateRetirementMixDisplay(calculations);
+        this.updateContributionHeadroom(calculations);
+        this.updateRothIraDisplay(calculations);
+        this.updateMarginalAnalysis(calculations);
+        this.updateFilingStatusComparison(calculations);
+        this.updateWithholdingDisplay(calculations.withholding);
+        this.updateEstimatedTaxDisplay(calculations.estimatedTaxes);
 
         // Update household summary
         if (calculations.household) {
             this.updateElement('totalGrossIncome', this.formatCurrency(calculations.household.grossIncome));
-            this.updateElement('totalPreTaxDeductions', this.formatCurrency(
-                (calculations.person1.preTexDeductions || 0) + (calculations.person2.preTexDeductions || 0)
-            ));
-            this.updateElement('totalFederalTax', this.formatCurrency(
-                (calculations.person1.federalTax || 0) + (calculations.person2.federalTax || 0)
-            ));
-            this.updateElement('totalStateTax', this.formatCurrency(
-                (calculations.person1.stateTax || 0) + (calculations.person2.stateTax || 0)
-            ));
-            this.updateElement('totalFICA', this.formatCurrency(
-                (calculations.person1.fica?.total || 0) + (calculations.person2.fica?.total || 0)
-            ));
+            this.updateElement('totalPreTaxDeductions', this.formatCurrency(sumMembers(calc => calc.preTexDeductions)));
+            this.updateDeductionDisplay('federal', calculations.household.deductions.federal);
+            this.updateDeductionDisplay('state', calculations.household.deductions.state);
+            this.updateElement('totalTaxCredits', this.formatCurrency(calculations.household.credits.total));
+            this.updateElement('qbiDeduction', this.formatCurrency(calculations.household.deductions.qbi || 0));
+            this.updateElement('totalNetInvestmentIncomeTax', this.formatCurrency(calculations.household.netInvestmentIncomeTax || 0));
+            this.updateElement('totalAlternativeMinimumTax', this.formatCurrency(calculations.household.alternativeMinimumTax || 0));
+            this.updateElement('tentativeMinimumTax', calculations.household.tentativeMinimumTax
+                ? `(tentative ${this.formatCurrency(calculations.household.tentativeMinimumTax)}; in federal tax)` : '');
+            this.updateElement('totalFederalTax', this.formatCurrency(sumMembers(calc => calc.federalTax)));
+            this.updateElement('totalStateTax', this.formatCurrency(sumMembers(calc => calc.stateTax)));
+            this.updateElement('totalLocalTax', this.formatCurrency(sumMembers(calc => calc.localTax)));
+            this.updateStateTaxBreakdown(calculations.household.stateTaxes);
+            const localTaxJurisdiction = memberCalcs.length > 0 ? memberCalcs[0].localTaxJurisdiction : null;
+            this.updateElement('localTaxJurisdiction', localTaxJurisdiction ? `(${localTaxJurisdiction})` : '');
+            this.updateElement('totalFICA', this.formatCurrency(sumMembers(calc => calc.fica?.total)));
+            const { statePayrollTaxes } = calculations.household;
+            this.updateElement('totalStatePayrollTax', this.formatCurrency(statePayrollTaxes.total));
+            this.updateElement('statePayrollTaxNames', statePayrollTaxes.taxes.length
+                ? `(${statePayrollTaxes.taxes.map(tax => tax.name).join(', ')})` : '');
             this.updateElement('totalNetIncome', this.formatCurrency(calculations.household.netIncome));
             this.updateElement('effectiveTaxRate', calculations.household.effectiveRate.toFixed(1) + '%');
+            this.updateContributionLimitLabels(calculations.household.taxYear);
         }
     }
 
+    /**
+     * Render one editable row per dependent
+     */
+    renderDependents(dependents) {
+        const list = document.getElementById('dependentsList');
+        if (!list) return;
+
+        const scenario = this.scenarioManager.getCurrentScenario();
+        const members = this.getMembers(scenario);
+
+        list.innerHTML = '';
+        dependents.forEach((dependent, index) => {
+            const row = document.createElement('div');
+            row.className = 'expense-item dependent-item';
+            row.dataset.index = index;
+            row.innerHTML = `
+                <input type="text" data-field="name" placeholder="Name">
+                <input type="number" class="dependent-age" data-field="age" value="${dependent.age || 0}" min="0" max="120" step="1" title="Age">
+                <input type="number" data-field="careExpenses" value="${dependent.careExpenses || 0}" min="0" step="100" title="Annual child/dependent care costs">
+                <select class="assignment-select" data-field="claimedBy" title="Claimed by (separate returns)"></select>
+                <button type="button" class="btn-small" onclick="app.removeDependent(${index})">Remove</button>
+            `;
+            row.querySelector('[data-field="name"]').value = dependent.name || '';
+            const claimedBy = row.querySelector('[data-field="claimedBy"]');
+            this.fillSelectOptions(claimedBy, members.map(member => [member, this.getMemberName(scenario, member)]), members[0]);
+            claimedBy.value = members.includes(dependent.claimedBy) ? dependent.claimedBy : members[0];
+            row.querySelectorAll('[data-field]').forEach(input => {
+                input.addEventListener('input', () => this.handleIncomeChange());
+                input.addEventListener('change', () => this.handleIncomeChange());
+            });
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Read the dependents rows back into the scenario's shape
+     */
+    readDependentsFromForm() {
+        const rows = document.querySelectorAll('#dependentsList .dependent-item');
+        return Array.from(rows).map(row => {
+            const field = (name) => row.querySelector(`[data-field="${name}"]`).value;
+            return {
+                name: field('name'),
+                age: parseInt(field('age'), 10) || 0,
+                careExpenses: parseFloat(field('careExpenses')) || 0,
+                claimedBy: field('claimedBy')
+            };
+        });
+    }
+
+    /**
+     * Add a dependent to the current scenario
+     */
+    addDependent() {
+        const currentScenario = this.scenarioManager.getCurrentScenario();
+        if (!currentScenario) return;
+
+        currentScenario.household.dependents = [
+            ...this.readDependentsFromForm(),
+            { name: '', age: 0, careExpenses: 0, claimedBy: this.getMembers(currentScenario)[0] }
+        ];
+        this.renderDependents(currentScenario.household.dependents);
+        this.updateCalculations();
+        this.saveCurrentScenario();
+    }
+
+    /**
+     * Remove a dependent from the current scenario
+     */
+    removeDependent(index) {
+        const currentScenario = this.scenarioManager.getCurrentScenario();
+        if (!currentScenario) return;
+
+        currentScenario.household.dependents = this.readDependentsFromForm().filter((_, position) => position !== index);
+        this.renderDependents(currentScenario.household.dependents);
+        this.updateCalculations();
+        this.saveCurrentScenario();
+    }
+
+    /**
+     * Render one editable row per stay in another state this tax year
+     */
+    renderResidencyPeriods(periods) {
+        const list = document.getElementById('residencyList');
+        if (!list) return;
+
+        const stateOptions = Object.entries(this.taxCalc.stateTaxRates)
+            .sort(([, a], [, b]) => a.name.localeCompare(b.name))
+            .map(([code, stateInfo]) => `<option value="${code}">${stateInfo.name}</option>`)
+            .join('');
+
+        list.innerHTML = '';
+        periods.forEach((period, index) => {
+            const row = document.createElement('div');
+            row.className = 'expense-item residency-item';
+            row.dataset.index = index;
+            row.innerHTML = `
+                <select class="assignment-select" data-field="state" title="State lived in">${stateOptions}</select>
+                <input type="date" data-field="startDate" value="${period.startDate || ''}" title="Moved in">
+                <input type="date" data-field="endDate" value="${period.endDate || ''}" title="Moved out">
+                <button type="button" class="btn-small" onclick="app.removeResidencyPeriod(${index})">Remove</button>
+            `;
+            row.querySelector('[data-field="state"]').value = period.state || '';
+            row.querySelectorAll('[data-field]').forEach(input => {
+                input.addEventListener('change', () => this.handleIncomeChange());
+            });
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Read the residency rows back into the scenario's shape
+     */
+    readResidencyPeriodsFromForm() {
+        const rows = document.querySelectorAll('#residencyList .residency-item');
+        return Array.from(rows).map(row => {
+            const field = (name) => row.querySelector(`[data-field="${name}"]`).value;
+            return {
+                state: field('state'),
+                startDate: field('startDate'),
+                endDate: field('endDate')
+            };
+        });
+    }
+
+    /**
+     * Add a stay in another state, defaulting to the first half of the tax year
+     */
+    addResidencyPeriod() {
+        const currentScenario = this.scenarioManager.getCurrentScenario();
+        if (!currentScenario) return;
+
+        const taxYear = currentScenario.household.taxYear || this.taxCalc.federalTaxTables.defaultYear;
+        currentScenario.household.residencyPeriods = [
+            ...this.readResidencyPeriodsFromForm(),
+            { state: currentScenario.household.location.state, startDate: `${taxYear}-01-01`, endDate: `${taxYear}-06-30` }
+        ];
+        this.renderResidencyPeriods(currentScenario.household.residencyPeriods);
+        this.updateCalculations();
+        this.saveCurrentScenario();
+    }
+
+    /**
+     * Remove a stay in another state
+     */
+    removeResidencyPeriod(index) {
+        const currentScenario = this.scenarioManager.getCurrentScenario();
+        if (!currentScenario) return;
+
+        currentScenario.household.residencyPeriods = this.readResidencyPeriodsFromForm().filter((_, position) => position !== index);
+        this.renderResidencyPeriods(currentScenario.household.residencyPeriods);
+        this.updateCalculations();
+        this.saveCurrentScenario();
+    }
+
+    /**
+     * Show each state's share of the income tax when the household lived or worked in
+     * more than one, with the credit resident states gave for tax paid to the others
+     */
+    updateStateTaxBreakdown(stateTaxes) {
+        if (!stateTaxes || stateTaxes.length < 2) {
+            this.updateElement('stateTaxBreakdown', '');
+            return;
+        }
+
+        this.updateElement('stateTaxBreakdown', stateTaxes.map(entry => {
+            const residency = entry.residentFraction >= 1 ? 'resident'
+                : entry.residentFraction > 0 ? `resident ${Math.round(entry.residentFraction * 100)}% of the year`
+                : 'nonresident';
+            const credit = entry.creditForOtherStates > 0
+                ? `, after ${this.formatCurrency(entry.creditForOtherStates)} credit for other states` : '';
+            return `${entry.state} ${this.formatCurrency(entry.tax)} (${residency}, on ${this.formatCurrency(entry.sourceIncome)}${credit})`;
+        }).join(' · '));
+    }
+
+    /**
+     * Show how household take-home pay changes if a person's 401(k) deferrals
+     * were all traditional or all Roth, or if they maxed out traditional deferrals
+     */
+    updateRetirementMixDisplay(calculations) {
+        const scenario = this.scenarioManager.getCurrentScenario();
+        if (!scenario) return;
+
+        const signed = (amount) => `${amount >= 0 ? '+' : '−'}${this.formatCurrency(Math.abs(amount))}`;
+
+        this.getMembers(scenario).forEach(member => {
+            const comparison = this.calculator.compareRetirementMix(scenario, member, calculations);
+            if (!comparison || comparison.current.traditional + comparison.current.roth === 0) {
+                this.updateElement(`${member}RetirementMix`, '');
+                return;
+            }
+
+            const maxTraditional = comparison.max.traditional > comparison.current.traditional
+                ? ` · maxing out traditional: ${signed(comparison.max.takeHomeChange)} take-home, ` +
+                  `${signed(comparison.max.totalTaxes - comparison.current.totalTaxes)} taxes`
+                : '';
+            this.updateElement(`${member}RetirementMix`,
+                `Household take-home if all traditional: ${signed(comparison.traditional.takeHomeChange)} · ` +
+                `if all Roth: ${signed(comparison.roth.takeHomeChange)}${maxTraditional}`);
+        });
+    }
+
+    /**
+     * Show each person's direct Roth IRA limit at their modified AGI, any over-contribution,
+     * and whether the budgeted contribution needs a backdoor conversion
+     */
+    updateRothIraDisplay(calculations) {
+        const scenario = this.scenarioManager.getCurrentScenario();
+        if (!scenario) return;
+
+        const eligibility = this.calculator.checkRothIraEligibility(scenario, calculations);
+        calculations.members.forEach(member => {
+            const check = eligibility[member];
+            if (!check || check.contributed === 0) {
+                this.updateElement(`${member}RothIra`, '');
+                return;
+            }
+
+            const { phaseOut, proRata } = check;
+            let status;
+            if (check.overContribution > 0) {
+                status = `over the ${this.formatCurrency(check.iraLimit)} IRA limit by ${this.formatCurrency(check.overContribution)}`;
+            } else if (check.backdoorNeeded) {
+                status = `backdoor needed for ${this.formatCurrency(check.backdoorAmount)}`;
+            } else {
+                status = 'direct contribution OK';
+            }
+            const conversion = check.backdoorNeeded
+                ? (proRata.taxableConversion > 0
+                    ? ` · pro-rata: ${Math.round(proRata.taxableFraction * 100)}% of the conversion taxable (${this.formatCurrency(proRata.taxableConversion)}, ~${this.formatCurrency(proRata.estimatedTax)} tax)`
+                    : ' · no pre-tax IRA balances, so the conversion is tax-free')
+                : '';
+
+            this.updateElement(`${member}RothIra`,
+                `Roth IRA: direct limit ${this.formatCurrency(check.directLimit)} at MAGI ${this.formatCurrency(check.modifiedAGI)} ` +
+                `(phase-out ${this.formatCurrency(phaseOut.start)}–${this.formatCurrency(phaseOut.end)}) · ` +
+                `budgeting ${this.formatCurrency(check.contributed)}: ${status}${conversion}`);
+        });
+    }
+
+    /**
+     * Show what the next $1,000 of each person's pay or pre-tax contributions does to
+     * household taxes and take-home pay, across every tax
+     */
+    updateMarginalAnalysis(calculations) {
+        const scenario = this.scenarioManager.getCurrentScenario();
+        if (!scenario) return;
+
+        this.getMembers(scenario).forEach(member => {
+            const analysis = this.calculator.analyzeMarginalDollar(scenario, member, calculations);
+            if (!analysis) {
+                this.updateElement(`${member}Marginal`, '');
+                return;
+            }
+
+            const { step, raise, bonus, preTaxContribution } = analysis;
+            this.updateElement(`${member}Marginal`,
+                `Next ${this.formatCurrency(step)} of pay: ${raise.rate.toFixed(1)}% all-in tax ` +
+                `(brackets alone: ${analysis.bracketRate.toFixed(1)}%), ${this.formatCurrency(raise.takeHomeChange)} take-home · ` +
+                `as a bonus, ${this.formatCurrency(bonus.withholdingChange)} withheld at payout · ` +
+                `${this.formatCurrency(step)} more traditional 401(k) saves ${this.formatCurrency(preTaxContribution.taxSavings)} now ` +
+                `(${preTaxContribution.rate.toFixed(1)}%), costing ${this.formatCurrency(-preTaxContribution.takeHomeChange)} take-home`);
+        });
+    }
+
+    /**
+     * Show the cheaper of filing jointly and separately, counting income-driven
+     * student loan payments when the household uses that plan
+     */
+    updateFilingStatusComparison(calculations) {
+        const scenario = this.scenarioManager.getCurrentScenario();
+        const comparison = scenario ? this.calculator.compareFilingStatus(scenario, calculations) : null;
+        if (!comparison) {
+            this.updateElement('filingStatusComparison', '');
+            return;
+        }
+
+        const joint = comparison.marriedFilingJointly;
+        const separate = comparison.marriedFilingSeparately;
+        const loans = comparison.studentLoanRepayment === 'incomeDriven'
+            ? ` · student loans ${this.formatCurrency(joint.monthlyStudentLoanPayment)}/mo vs ${this.formatCurrency(separate.monthlyStudentLoanPayment)}/mo`
+            : '';
+        const recommended = comparison.recommended === 'marriedFilingJointly' ? 'Filing jointly' : 'Filing separately';
+
+        this.updateElement('filingStatusComparison',
+            `Taxes filing jointly: ${this.formatCurrency(joint.totalTaxes)} · separately: ${this.formatCurrency(separate.totalTaxes)}${loans} · ` +
+            `${recommended} saves ${this.formatCurrency(comparison.savings)}/yr`);
+    }
+
+    /**
+     * Show each person's regular paycheck, the household's projected refund or balance
+     * due, and the stubs for the partner picked in the paycheck selector
+     */
+    updateWithholdingDisplay(withholding) {
+        if (!withholding) return;
+
+        this.getMembers().forEach(member => {
+            const simulation = withholding[member];
+            if (!simulation || !simulation.regularPaycheck) {
+                this.updateElement(`${member}Paycheck`, '');
+                return;
+            }
+
+            const { regularPaycheck, reconciliation } = simulation;
+            const adjustment = reconciliation.extraWithholdingToBreakEven;
+            this.updateElement(`${member}Paycheck`,
+                `Regular paycheck: ${this.formatCurrency(regularPaycheck.net)} net, ` +
+                `${this.formatCurrency(regularPaycheck.federalWithholding)} federal withheld · ` +
+                `${adjustment > 0 ? 'add' : 'reduce by'} ${this.formatCurrency(Math.abs(adjustment))}/paycheck to break even`);
+        });
+
+        const { household } = withholding;
+        this.updateElement('federalWithheld', this.formatCurrency(household.withheld));
+        this.updateElement('federalLiability', this.formatCurrency(household.liability));
+        this.updateElement('withholdingBalanceLabel', household.balanceDue > 0 ? 'Estimated Balance Due' : 'Estimated Refund');
+        this.updateElement('withholdingBalance', this.formatCurrency(household.balanceDue > 0 ? household.balanceDue : household.refund));
+
+        this.renderPaycheckStubs(withholding);
+    }
+
+    /**
+     * Show the safe harbor the quarterly estimates are sized to and their due dates
+     * Households filing more than one return see the returns' combined harbors and payments
+     */
+    updateEstimatedTaxDisplay(estimatedTaxes) {
+        if (!estimatedTaxes) return;
+
+        const { returns, requiredAnnualPayment, annualEstimatedPayments, payments, balanceDueAtFiling } = estimatedTaxes;
+        const [{ safeHarbors, safeHarbor }] = returns;
+        this.updateElement('estimatedTaxSafeHarborLabel', returns.length > 1
+            ? `Safe Harbor (${returns.length} returns combined)`
+            : safeHarbor === 'priorYear'
+                ? `Safe Harbor (${Math.round(safeHarbors.priorYearRate * 100)}% of prior year)`
+                : 'Safe Harbor (90% of this year)');
+        this.updateElement('estimatedTaxSafeHarbor', this.formatCurrency(requiredAnnualPayment));
+        this.updateElement('estimatedTaxAnnual', this.formatCurrency(annualEstimatedPayments));
+
+        const schedule = annualEstimatedPayments > 0
+            ? payments.map(payment => `Q${payment.quarter} ${payment.dueDate}${payment.nextYear ? ' (next year)' : ''}: ${this.formatCurrency(payment.amount, 2)}`).join(' · ')
+            : 'Withholding covers the safe harbor; no estimated payments needed';
+        this.updateElement('estimatedTaxSchedule', balanceDueAtFiling > 0
+            ? `${schedule} · ${this.formatCurrency(balanceDueAtFiling)} left to pay at filing`
+            : schedule);
+    }
+
+    /**
+     * Render the selected partner's paycheck stubs for the year
+     */
+    renderPaycheckStubs(withholding = this.calculator.calculations?.withholding) {
+        const table = document.getElementById('paycheckStubs');
+        if (!table || !withholding) return;
+
+        const member = this.getSelectValue('paycheckMember', this.getMembers()[0]);
+        const simulation = withholding[member];
+
+        table.innerHTML = (simulation ? simulation.stubs : []).map(stub => `
+            <tr class="${stub.type}">
+                <td>${stub.date}</td>
+                <td>${stub.type === 'bonus' ? 'Bonus' : `#${stub.period}`}</td>
+                <td>${this.formatCurrency(stub.gross, 2)}</td>
+                <td>${this.formatCurrency(stub.preTaxDeductions, 2)}</td>
+                <td>${this.formatCurrency(stub.federalWithholding, 2)}</td>
+                <td>${this.formatCurrency(stub.socialSecurity + stub.medicare + stub.additionalMedicare, 2)}</td>
+                <td>${this.formatCurrency(stub.statePayrollTax, 2)}</td>
+                <td>${this.formatCurrency(stub.stateWithholding, 2)}</td>
+                <td>${this.formatCurrency(stub.afterTaxDeductions, 2)}</td>
+                <td>${this.formatCurrency(stub.net, 2)}</td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Show the deduction a return chose (standard or itemized) and what itemizing saved
+     */
+    updateDeductionDisplay(jurisdiction, deduction) {
+        if (!deduction) {
+            this.updateElement(`${jurisdiction}Deduction`, '—');
+            this.updateElement(`${jurisdiction}DeductionSavings`, '');
+            return;
+        }
+
+        const method = deduction.method.charAt(0).toUpperCase() + deduction.method.slice(1);
+        this.updateElement(`${jurisdiction}Deduction`, `${method} ${this.formatCurrency(deduction.amount)}`);
+        this.updateElement(`${jurisdiction}DeductionSavings`, deduction.taxSavings > 0
+            ? `(saves ${this.formatCurrency(deduction.taxSavings)})` : '');
+    }
+
+    /**
+     * Get the filing status on a member's card: their own, or the household's
+     */
+    getFormFilingStatus(member) {
+        return this.getSelectValue(`${member}FilingStatus`, '') || this.getSelectValue('householdFilingStatus', 'marriedFilingJointly');
+    }
+
+    /**
+     * Read the fields that set a person's contribution limits and contributions
+     */
+    readContributionsFromForm(member) {
+        return {
+            age: this.getInputValue(`${member}Age`, 0),
+            hsaCoverage: this.getSelectValue(`${member}HsaCoverage`, 'self'),
+            preTexDeductions: {
+                retirement401k: this.getInputValue(`${member}_401k`, 0),
+                hsa: this.getInputValue(`${member}HSA`, 0),
+                dependentCareFsa: this.getInputValue(`${member}DependentCareFsa`, 0)
+            },
+            afterTaxDeductions: {
+                roth401k: this.getInputValue(`${member}Roth401k`, 0),
+                afterTax401k: this.getInputValue(`${member}AfterTax401k`, 0)
+            }
+        };
+    }
+
+    /**
+     * Show each person's contribution limits for the selected tax year next to
+     * their inputs, including any catch-up their age allows
+     */
+    updateContributionLimitLabels(taxYear) {
+        this.getMembers().forEach(member => {
+            const filingStatus = this.getFormFilingStatus(member);
+            const limits = this.taxCalc.getContributionLimits(this.readContributionsFromForm(member), filingStatus);
+            const labels = {
+                retirement401k: `(${taxYear} limit: ${this.formatCurrency(limits.retirement401k)})`,
+                annualAdditions: `(${taxYear} total limit: ${this.formatCurrency(limits.annualAdditions)})`,
+                hsa: `(${taxYear} limit: ${this.formatCurrency(limits.hsa)})`,
+                dependentCareFsa: `(${taxYear} household limit: ${this.formatCurrency(limits.dependentCareFsa)})`
+            };
+
+            document.querySelectorAll(`[data-limit][data-member="${member}"]`).forEach(element => {
+                element.textContent = labels[element.dataset.limit] || '';
+            });
+
+            const retirementInput = document.getElementById(`${member}_401k`);
+            if (retirementInput) retirementInput.max = limits.retirement401k;
+            const hsaInput = document.getElementById(`${member}HSA`);
+            if (hsaInput) hsaInput.max = limits.hsa;
+            const fsaInput = document.getElementById(`${member}DependentCareFsa`);
+            if (fsaInput) fsaInput.max = limits.dependentCareFsa;
+        });
+    }
+
+    /**
+     * Show how much room each person has left under their contribution limits
+     */
+    updateContributionHeadroom(calculations) {
+        const scenario = this.scenarioManager.getCurrentScenario();
+        if (!scenario) return;
+
+        this.getMembers(scenario).forEach(member => {
+            const headroom = this.calculator.getContributionHeadroom(scenario, member, calculations);
+            if (!headroom) {
+                this.updateElement(`${member}Headroom`, '');
+                return;
+            }
+
+            this.updateElement(`${member}Headroom`,
+                `Room left: 401(k) ${this.formatCurrency(headroom.retirement401k.remaining)} · ` +
+                `HSA ${this.formatCurrency(headroom.hsa.remaining)} · ` +
+                `IRA ${this.formatCurrency(headroom.ira.remaining)} · ` +
+                `dependent-care FSA ${this.formatCurrency(headroom.dependentCareFsa.remaining)}`);
+        });
+    }
+
     /**
      * Update dashboard statistics
      */
@@ -629,18 +1537,13 @@ class ConsciousSpendingApp {
      * Update income form visibility based on current view
      */
     updateIncomeFormVisibility() {
-        const person1Section = document.getElementById('person1Income');
-        const person2Section = document.getElementById('person2Income');
-        
-        if (person1Section) {
-            person1Section.style.display = 
-                (this.currentView === 'person1' || this.currentView === 'combined') ? 'block' : 'none';
-        }
-        
-        if (person2Section) {
-            person2Section.style.display = 
-                (this.currentView === 'person2' || this.currentView === 'combined') ? 'block' : 'none';
-        }
+        this.getMembers().forEach(member => {
+            const section = document.getElementById(`${member}Income`);
+            if (section) {
+                section.style.display = 
+                    (this.currentView === member || this.currentView === 'combined') ? 'block' : 'none';
+            }
+        });
     }
 
     /**
@@ -1002,6 +1905,16 @@ class ConsciousSpendingApp {
         if (!expenses || !expenses.ramitCategories) return;
 
         const categories = expenses.ramitCategories;
+
+        // Load an item's amount, assignment, frequency and due date; one-time items default to the tax year
+        const loadItem = (inputId, item) => {
+            this.setInputValue(inputId, item?.amount || 0);
+            this.setInputValue(inputId + 'Assigned', this.getAssignmentValue(item));
+            this.setInputValue(inputId + 'Frequency', item?.frequency || 'monthly');
+            this.setInputValue(inputId + 'DueMonth', item?.dueMonth || 1);
+            this.setInputValue(inputId + 'DueYear', item?.dueYear || this.getSelectValue('householdTaxYear', ''));
+            this.updateDueMonthVisibility(inputId);
+        };
         
         // Helper function to load category items
         const loadCategory = (category, mapping) => {
@@ -1013,9 +1926,7 @@ class ConsciousSpendingApp {
                     Object.keys(subcategory).forEach(itemKey => {
                         const item = subcategory[itemKey];
                         if (item && item.amount !== undefined) {
-                            const mappedKey = mapping[itemKey] || itemKey;
-                            this.setInputValue(mappedKey, item.amount);
-                            this.setInputValue(mappedKey + 'Assigned', item.assignedTo || 'shared');
+                            loadItem(mapping[itemKey] || itemKey, item);
                         }
                     });
                 }
@@ -1042,42 +1953,28 @@ class ConsciousSpendingApp {
         
         // Load investments
         if (categories.investments) {
-            this.setInputValue('additionalRetirement', categories.investments.retirement?.amount || 0);
-            this.setInputValue('additionalRetirementAssigned', categories.investments.retirement?.assignedTo || 'shared');
-            this.setInputValue('brokerage', categories.investments.brokerage?.amount || 0);
-            this.setInputValue('brokerageAssigned', categories.investments.brokerage?.assignedTo || 'shared');
-            this.setInputValue('rothIRA', categories.investments.rothIRA?.amount || 0);
-            this.setInputValue('rothIRAAssigned', categories.investments.rothIRA?.assignedTo || 'shared');
+            loadItem('additionalRetirement', categories.investments.retirement);
+            loadItem('brokerage', categories.investments.brokerage);
+            loadItem('rothIRA', categories.investments.rothIRA);
         }
 
         // Load savings
         if (categories.savings) {
-            this.setInputValue('emergency', categories.savings.emergency?.amount || 0);
-            this.setInputValue('emergencyAssigned', categories.savings.emergency?.assignedTo || 'shared');
-            this.setInputValue('vacation', categories.savings.vacation?.amount || 0);
-            this.setInputValue('vacationAssigned', categories.savings.vacation?.assignedTo || 'shared');
-            this.setInputValue('houseDownPayment', categories.savings.houseDownPayment?.amount || 0);
-            this.setInputValue('houseDownPaymentAssigned', categories.savings.houseDownPayment?.assignedTo || 'shared');
-            this.setInputValue('carReplacement', categories.savings.carReplacement?.amount || 0);
-            this.setInputValue('carReplacementAssigned', categories.savings.carReplacement?.assignedTo || 'shared');
+            loadItem('emergency', categories.savings.emergency);
+            loadItem('vacation', categories.savings.vacation);
+            loadItem('houseDownPayment', categories.savings.houseDownPayment);
+            loadItem('carReplacement', categories.savings.carReplacement);
         }
 
         // Load guilt-free spending
         if (categories.guiltFreeSpending) {
-            this.setInputValue('dining', categories.guiltFreeSpending.dining?.amount || 0);
-            this.setInputValue('diningAssigned', categories.guiltFreeSpending.dining?.assignedTo || 'shared');
-            this.setInputValue('entertainment', categories.guiltFreeSpending.entertainment?.amount || 0);
-            this.setInputValue('entertainmentAssigned', categories.guiltFreeSpending.entertainment?.assignedTo || 'shared');
-            this.setInputValue('hobbies', categories.guiltFreeSpending.hobbies?.amount || 0);
-            this.setInputValue('hobbiesAssigned', categories.guiltFreeSpending.hobbies?.assignedTo || 'person1');
-            this.setInputValue('personalShopping', categories.guiltFreeSpending.personalShopping?.amount || 0);
-            this.setInputValue('personalShoppingAssigned', categories.guiltFreeSpending.personalShopping?.assignedTo || 'person2');
-            this.setInputValue('subscriptions', categories.guiltFreeSpending.subscriptions?.amount || 0);
-            this.setInputValue('subscriptionsAssigned', categories.guiltFreeSpending.subscriptions?.assignedTo || 'shared');
-            this.setInputValue('gifts', categories.guiltFreeSpending.gifts?.amount || 0);
-            this.setInputValue('giftsAssigned', categories.guiltFreeSpending.gifts?.assignedTo || 'shared');
-            this.setInputValue('miscellaneous', categories.guiltFreeSpending.miscellaneous?.amount || 0);
-            this.setInputValue('miscellaneousAssigned', categories.guiltFreeSpending.miscellaneous?.assignedTo || 'shared');
+            loadItem('dining', categories.guiltFreeSpending.dining);
+            loadItem('entertainment', categories.guiltFreeSpending.entertainment);
+            loadItem('hobbies', categories.guiltFreeSpending.hobbies);
+            loadItem('personalShopping', categories.guiltFreeSpending.personalShopping);
+            loadItem('subscriptions', categories.guiltFreeSpending.subscriptions);
+            loadItem('gifts', categories.guiltFreeSpending.gifts);
+            loadItem('miscellaneous', categories.guiltFreeSpending.miscellaneous);
         }
     }
 
@@ -1116,10 +2013,26 @@ class ConsciousSpendingApp {
             });
             
             if (!category[itemKey]) category[itemKey] = {};
-            category[itemKey].amount = this.getInputValue(inputId, 0);
-            category[itemKey].assignedTo = this.getInputValue(assignedId, 'shared');
+            const item = category[itemKey];
+            item.amount = this.getInputValue(inputId, 0);
+            this.applyAssignment(item, this.getSelectValue(assignedId, 'shared'));
+
+            item.frequency = this.getSelectValue(`${inputId}Frequency`, 'monthly');
+            if (this.hasDueMonth(item.frequency)) {
+                item.dueMonth = parseInt(this.getSelectValue(`${inputId}DueMonth`, '1'), 10);
+            } else {
+                delete item.dueMonth;
+            }
+            if (item.frequency === 'oneTime') {
+                item.dueYear = parseInt(this.getSelectValue(`${inputId}DueYear`, scenario.household.taxYear), 10);
+            } else {
+                delete item.dueYear;
+            }
         };
 
+        scenario.household.expenseSplit = this.readExpenseSplitFromForm();
+        scenario.household.sharedPayments = this.readSharedPaymentsFromForm();
+
         // Update fixed costs
         updateExpenseItem('fixedCosts.housing', 'rent', 'rent', 'rentAssigned');
         updateExpenseItem('fixedCosts.housing', 'utilities', 'utilities', 'utilitiesAssigned');
@@ -1158,6 +2071,279 @@ class ConsciousSpendingApp {
         updateExpenseItem('guiltFreeSpending', 'miscellaneous', 'miscellaneous', 'miscellaneousAssigned');
     }
 
+    /**
+     * Add frequency, due month and due year pickers after each budget item's amount
+     */
+    renderExpenseScheduleControls(inputIds, projectedYears = 5) {
+        const frequencies = [['monthly', 'Monthly'], ['weekly', 'Weekly'], ['quarterly', 'Quarterly'], ['annual', 'Annually'], ['oneTime', 'One time']];
+        const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        const publishedYears = this.taxCalc.getPublishedTaxYears();
+        const years = [];
+        for (let year = publishedYears[0]; year <= publishedYears[publishedYears.length - 1] + projectedYears; year++) {
+            years.push(year);
+        }
+
+        inputIds.forEach(inputId => {
+            const input = document.getElementById(inputId);
+            if (!input || document.getElementById(`${inputId}Frequency`)) return;
+
+            const frequency = document.createElement('select');
+            frequency.id = `${inputId}Frequency`;
+            frequency.className = 'assignment-select frequency-select';
+            frequency.title = 'How often it is paid; the amount is per payment';
+            frequency.innerHTML = frequencies.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+
+            const dueMonth = document.createElement('select');
+            dueMonth.id = `${inputId}DueMonth`;
+            dueMonth.className = 'assignment-select due-month-select';
+            dueMonth.title = 'Month it is due (the first, for quarterly payments)';
+            dueMonth.innerHTML = monthNames.map((name, index) => `<option value="${index + 1}">${name}</option>`).join('');
+
+            const dueYear = document.createElement('select');
+            dueYear.id = `${inputId}DueYear`;
+            dueYear.className = 'assignment-select due-year-select';
+            dueYear.title = 'Year a one-time payment is due';
+            dueYear.innerHTML = years.map(year => `<option value="${year}">${year}</option>`).join('');
+
+            input.after(frequency, dueMonth, dueYear);
+            input.closest('.expense-item')?.classList.add('scheduled-item');
+            this.updateDueMonthVisibility(inputId);
+        });
+    }
+
+    /**
+     * Whether a frequency is paid in particular months rather than every month
+     */
+    hasDueMonth(frequency) {
+        return ['quarterly', 'annual', 'oneTime'].includes(frequency);
+    }
+
+    /**
+     * Show an item's due month and due year pickers only when its frequency uses them
+     */
+    updateDueMonthVisibility(inputId) {
+        const frequency = this.getSelectValue(`${inputId}Frequency`, 'monthly');
+        const dueMonth = document.getElementById(`${inputId}DueMonth`);
+        if (dueMonth) {
+            dueMonth.style.visibility = this.hasDueMonth(frequency) ? '' : 'hidden';
+        }
+        const dueYear = document.getElementById(`${inputId}DueYear`);
+        if (dueYear) {
+            dueYear.style.visibility = frequency === 'oneTime' ? '' : 'hidden';
+        }
+    }
+
+    /**
+     * Get an expense item's assignment picker value; shared items with their own split
+     * show as "split:<method>", and fixed or cover-up-to splits as "split:custom"
+     */
+    getAssignmentValue(item) {
+        if (!item || !item.assignedTo) return 'shared';
+        if (item.assignedTo !== 'shared' || !item.split) return item.assignedTo;
+        return ['equal', 'grossIncome', 'netIncome'].includes(item.split.method)
+            ? `split:${item.split.method}`
+            : 'split:custom';
+    }
+
+    /**
+     * Apply an assignment picker value to an expense item ("split:custom" keeps its split)
+     */
+    applyAssignment(item, value) {
+        if (!value.startsWith('split:')) {
+            item.assignedTo = value;
+            delete item.split;
+            return;
+        }
+
+        item.assignedTo = 'shared';
+        if (value !== 'split:custom') {
+            item.split = { method: value.slice('split:'.length) };
+        }
+    }
+
+    /**
+     * Fill the shared expense split controls, with a percentage input per member
+     */
+    renderExpenseSplit(scenario, split) {
+        const members = this.getMembers(scenario);
+        const shares = split.shares || {};
+
+        this.setInputValue('expenseSplitMethod', split.method || 'equal');
+        this.setInputValue('expenseSplitCoveredBy', members.includes(split.coveredBy) ? split.coveredBy : members[0]);
+        this.setInputValue('expenseSplitCoverLimit', split.coverLimit || 0);
+
+        const list = document.getElementById('expenseSplitShares');
+        if (list) {
+            list.innerHTML = '';
+            members.forEach(member => {
+                const share = shares[member] !== undefined ? shares[member] : Math.round(100 / members.length);
+                const group = document.createElement('div');
+                group.className = 'form-group';
+                group.innerHTML = `
+                    <label for="${member}SplitShare" id="${member}SplitShareLabel"></label>
+                    <input type="number" id="${member}SplitShare" class="split-share" data-member="${member}" value="${share}" min="0" max="100" step="1">
+                `;
+                group.querySelector('label').textContent = `${this.getMemberName(scenario, member)} (%)`;
+                group.querySelector('input').addEventListener('input', () => this.handleExpenseChange());
+                list.appendChild(group);
+            });
+        }
+
+        this.updateExpenseSplitVisibility();
+    }
+
+    /**
+     * Show only the controls the chosen split method uses
+     */
+    updateExpenseSplitVisibility() {
+        const method = this.getSelectValue('expenseSplitMethod', 'equal');
+        const shares = document.getElementById('expenseSplitShares');
+        const cover = document.getElementById('expenseSplitCover');
+        if (shares) shares.style.display = method === 'fixed' ? '' : 'none';
+        if (cover) cover.style.display = method === 'coverUpTo' ? '' : 'none';
+    }
+
+    /**
+     * Read the shared expense split controls back into the scenario's shape
+     */
+    readExpenseSplitFromForm() {
+        const shares = {};
+        document.querySelectorAll('#expenseSplitShares .split-share').forEach(input => {
+            shares[input.dataset.member] = parseFloat(input.value) || 0;
+        });
+
+        return {
+            method: this.getSelectValue('expenseSplitMethod', 'equal'),
+            shares,
+            coveredBy: this.getSelectValue('expenseSplitCoveredBy', '') || null,
+            coverLimit: this.getInputValue('expenseSplitCoverLimit', 0)
+        };
+    }
+
+    /**
+     * Render one editable row per payment in the shared payments ledger
+     */
+    renderSharedPayments(payments) {
+        const list = document.getElementById('sharedPaymentsList');
+        if (!list) return;
+
+        const scenario = this.scenarioManager.getCurrentScenario();
+        const members = this.getMembers(scenario);
+        const names = members.map(member => [member, this.getMemberName(scenario, member)]);
+
+        list.innerHTML = '';
+        payments.forEach((payment, index) => {
+            const row = document.createElement('div');
+            row.className = 'expense-item shared-payment-item';
+            row.dataset.index = index;
+            row.innerHTML = `
+                <input type="date" data-field="date" value="${payment.date || ''}" title="Date paid">
+                <input type="text" data-field="description" placeholder="What for">
+                <input type="number" data-field="amount" value="${payment.amount || 0}" min="0" step="0.01" title="Amount">
+                <select class="assignment-select" data-field="paidBy" title="Paid by"></select>
+                <select class="assignment-select" data-field="paidTo" title="A shared bill, or money sent to another member"></select>
+                <button type="button" class="btn-small" onclick="app.removeSharedPayment(${index})">Remove</button>
+            `;
+            row.querySelector('[data-field="description"]').value = payment.description || '';
+            const paidBy = row.querySelector('[data-field="paidBy"]');
+            this.fillSelectOptions(paidBy, names, members[0]);
+            paidBy.value = members.includes(payment.paidBy) ? payment.paidBy : members[0];
+            const paidTo = row.querySelector('[data-field="paidTo"]');
+            this.fillSelectOptions(paidTo, [['', 'Shared bill'], ...names.map(([member, name]) => [member, `Sent to ${name}`])], '');
+            paidTo.value = members.includes(payment.paidTo) ? payment.paidTo : '';
+            row.querySelectorAll('[data-field]').forEach(input => {
+                input.addEventListener('input', () => this.handleExpenseChange());
+                input.addEventListener('change', () => this.handleExpenseChange());
+            });
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Read the shared payment rows back into the scenario's shape
+     */
+    readSharedPaymentsFromForm() {
+        const rows = document.querySelectorAll('#sharedPaymentsList .shared-payment-item');
+        return Array.from(rows).map(row => {
+            const field = (name) => row.querySelector(`[data-field="${name}"]`).value;
+            return {
+                date: field('date'),
+                description: field('description'),
+                amount: parseFloat(field('amount')) || 0,
+                paidBy: field('paidBy'),
+                paidTo: field('paidTo') || null
+            };
+        });
+    }
+
+    /**
+     * Add a payment to the shared payments ledger, dated today
+     */
+    addSharedPayment() {
+        const currentScenario = this.scenarioManager.getCurrentScenario();
+        if (!currentScenario) return;
+
+        currentScenario.household.sharedPayments = [
+            ...this.readSharedPaymentsFromForm(),
+            {
+                date: new Date().toISOString().slice(0, 10),
+                description: '',
+                amount: 0,
+                paidBy: this.getMembers(currentScenario)[0],
+                paidTo: null
+            }
+        ];
+        this.renderSharedPayments(currentScenario.household.sharedPayments);
+        this.updateCalculations();
+        this.saveCurrentScenario();
+    }
+
+    /**
+     * Remove a payment from the shared payments ledger
+     */
+    removeSharedPayment(index) {
+        const currentScenario = this.scenarioManager.getCurrentScenario();
+        if (!currentScenario) return;
+
+        currentScenario.household.sharedPayments = this.readSharedPaymentsFromForm().filter((_, position) => position !== index);
+        this.renderSharedPayments(currentScenario.household.sharedPayments);
+        this.updateCalculations();
+        this.saveCurrentScenario();
+    }
+
+    /**
+     * Show each member's joint account transfer per paycheck, the ledger balances and the
+     * transfers that would settle them
+     */
+    updateSettleUpDisplay(calculations) {
+        const scenario = this.scenarioManager.getCurrentScenario();
+        if (!scenario || !calculations.settleUp) return;
+
+        const frequencyLabels = { weekly: 'weekly', biweekly: 'bi-weekly', semimonthly: 'semi-monthly', monthly: 'monthly' };
+        const views = calculations.members.map(member => [this.getMemberName(scenario, member), this.calculator.calculatePersonView(member)]);
+
+        this.updateElement('jointAccountTransfers', views.map(([name, view]) => {
+            const transfer = view.jointAccount;
+            return `${name}: ${this.formatCurrency(transfer.perPaycheck, 2)} per ${frequencyLabels[transfer.payFrequency] || transfer.payFrequency} paycheck ` +
+                `(${this.formatCurrency(transfer.monthly)}/mo)`;
+        }).join(' · '));
+
+        this.updateElement('settleUpBalances', views.map(([name, view]) => {
+            const { paid, owed, balance } = view.settleUp;
+            const standing = balance > 0 ? `is owed ${this.formatCurrency(balance, 2)}`
+                : balance < 0 ? `owes ${this.formatCurrency(-balance, 2)}`
+                : 'is even';
+            return `${name} paid ${this.formatCurrency(paid, 2)} of a ${this.formatCurrency(owed, 2)} share and ${standing}`;
+        }).join(' · '));
+
+        const transfers = calculations.settleUp.transfers;
+        this.updateElement('settleUpTransfers', transfers.length > 0
+            ? 'To settle up: ' + transfers.map(transfer =>
+                `${this.getMemberName(scenario, transfer.from)} sends ${this.getMemberName(scenario, transfer.to)} ${this.formatCurrency(transfer.amount, 2)}`
+            ).join('; ')
+            : 'All settled up.');
+    }
+
     /**
      * Update expense summaries in real-time
      */
@@ -1188,6 +2374,15 @@ class ConsciousSpendingApp {
         this.updateElement('investmentsSummary', this.formatCurrency(ramitBreakdown.investments.amount));
         this.updateElement('savingsSummary', this.formatCurrency(ramitBreakdown.savings.amount));
         this.updateElement('guiltFreeSummary', this.formatCurrency(ramitBreakdown.guiltFreeSpending.amount));
+
+        // Each member's share of the budget under the split, and what their take-home leaves
+        const scenario = this.scenarioManager.getCurrentScenario();
+        this.updateElement('expenseSplitSummary', calculations.members.map(member => {
+            const share = calculations.expenseShares[member].total;
+            const surplus = calculations[member].monthlyNet - share;
+            return `${this.getMemberName(scenario, member)}: ${this.formatCurrency(share)}/mo, ` +
+                `${surplus >= 0 ? 'leaving' : 'short'} ${this.formatCurrency(Math.abs(surplus))}`;
+        }).join(' · '));
     }
 
     /**
@@ -1273,8 +2468,10 @@ This will adjust your current expense amounts.`)) {
         // Number validation for numeric inputs
         if (input.type === 'number' || input.dataset.type === 'currency') {
             const numValue = parseFloat(value);
+            // Capital gains take losses as negative numbers, and checking can start overdrawn
+            const allowsNegative = fieldName.endsWith('Gains') || fieldName === 'checkingBalance';
             
-            if (value !== '' && (isNaN(numValue) || numValue < 0)) {
+            if (value !== '' && (isNaN(numValue) || (numValue < 0 && !allowsNegative))) {
                 isValid = false;
                 errorMessage = 'Please enter a valid positive number';
             }
@@ -1285,14 +2482,24 @@ This will adjust your current expense amounts.`)) {
                 errorMessage = 'Pay frequency cannot exceed 52 (weekly)';
             }
             
-            if (fieldName.includes('401k') && numValue > 70000) {
-                isValid = false;
-                errorMessage = '401k contribution exceeds annual limit';
-            }
-            
-            if (fieldName.includes('HSA') && numValue > 4300) {
-                isValid = false;
-                errorMessage = 'HSA contribution exceeds annual limit';
+            // Contributions are checked against the person's limits in the registry, which
+            // depend on their age and HSA coverage
+            const contributionField = fieldName.match(/^(person\d+)(_401k|Roth401k|AfterTax401k|HSA|DependentCareFsa|Age)$/);
+            if (contributionField) {
+                const accounts = {
+                    _401k: ['retirement401k', 'annualAdditions'],
+                    Roth401k: ['retirement401k', 'annualAdditions'],
+                    AfterTax401k: ['annualAdditions'],
+                    HSA: ['hsa'],
+                    DependentCareFsa: ['dependentCareFsa']
+                }[contributionField[2]];
+                const filingStatus = this.getFormFilingStatus(contributionField[1]);
+                const issues = this.calculator.checkContributionLimits(this.readContributionsFromForm(contributionField[1]), filingStatus)
+                    .filter(issue => !accounts || accounts.includes(issue.account));
+                if (issues.length > 0) {
+                    isValid = false;
+                    errorMessage = issues[0].message;
+                }
             }
         }
 
@@ -1471,14 +2678,33 @@ This will adjust your current expense amounts.`)) {
         const calculations = this.calculator.calculations;
         if (!calculations) return;
 
-        const monthlyNet = calculations.household.monthlyNetIncome;
-        const monthlyExpenses = calculations.expenses.total;
-        const monthlySurplus = monthlyNet - monthlyExpenses;
-
-        // Update 12-month projections
-        this.updateElement('projectedIncome', this.formatCurrency(monthlyNet * 12));
-        this.updateElement('projectedExpenses', this.formatCurrency(monthlyExpenses * 12));
-        this.updateElement('projectedSurplus', this.formatCurrency(monthlySurplus * 12));
+        // Update 12-month projections from the month-by-month cash flow
+        const { months, endingBalance, lowestBalance, estimatedTaxesDueNextYear, filingSettlement, balanceAfterFiling } = calculations.cashFlow;
+        const total = (field) => months.reduce((sum, month) => sum + month[field], 0);
+        this.updateElement('projectedNetIncome', this.formatCurrency(total('income') - total('estimatedTaxes')));
+        this.updateElement('projectedExpenses', this.formatCurrency(total('expenses')));
+        this.updateElement('projectedSurplus', this.formatCurrency(total('netCashFlow')));
+        this.updateElement('projectedEndingBalance', this.formatCurrency(endingBalance));
+        this.updateElement('projectedLowestBalance', this.formatCurrency(lowestBalance));
+
+        // Call out the months that differ from a typical one
+        const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        const fewestPaychecks = Math.min(...months.map(month => month.paychecks));
+        const extraPaycheckMonths = months.filter(month => month.paychecks > fewestPaychecks).map(month => monthNames[month.month - 1]);
+        const shortMonths = months.filter(month => month.balance < 0).map(month => monthNames[month.month - 1]);
+        const highlights = [];
+        if (extraPaycheckMonths.length > 0) highlights.push(`Extra paychecks in ${extraPaycheckMonths.join(', ')}`);
+        if (shortMonths.length > 0) highlights.push(`Checking runs negative in ${shortMonths.join(', ')}`);
+        if (estimatedTaxesDueNextYear > 0) {
+            highlights.push(`${this.formatCurrency(estimatedTaxesDueNextYear)} fourth-quarter estimated tax due next January`);
+        }
+        if (filingSettlement !== 0) {
+            highlights.push(`${filingSettlement > 0 ? 'Refund' : 'Balance due'} of ${this.formatCurrency(Math.abs(filingSettlement))} at filing`);
+        }
+        if (estimatedTaxesDueNextYear > 0 || filingSettlement !== 0) {
+            highlights.push(`${this.formatCurrency(balanceAfterFiling)} in checking once those are settled`);
+        }
+        this.updateElement('cashFlowHighlights', highlights.join(' · '));
     }
 
     /**
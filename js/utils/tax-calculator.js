@@ -1,122 +1,218 @@
 /**
- * Tax Calculator Utility - 2025 Tax Rates
- * Handles federal and state tax calculations with current brackets
+ * Tax Calculator Utility
+ * Handles federal and state tax calculations for a selectable tax year
+ * Federal brackets, deductions and limits come from js/data/federal-tax-tables.js,
+ * state brackets, deductions and credits come from js/data/state-tax-tables.js,
+ * city and county income taxes from js/data/local-tax-tables.js
  */
 
 class TaxCalculator {
-    constructor() {
-        // 2025 Federal Tax Brackets (single filing status)
-        this.federalBrackets = {
-            single: [
-                { min: 0, max: 11550, rate: 0.10 },
-                { min: 11550, max: 46650, rate: 0.12 },
-                { min: 46650, max: 100525, rate: 0.22 },
-                { min: 100525, max: 191950, rate: 0.24 },
-                { min: 191950, max: 243725, rate: 0.32 },
-                { min: 243725, max: 609350, rate: 0.35 },
-                { min: 609350, max: Infinity, rate: 0.37 }
-            ],
-            marriedFilingJointly: [
-                { min: 0, max: 23100, rate: 0.10 },
-                { min: 23100, max: 93300, rate: 0.12 },
-                { min: 93300, max: 201050, rate: 0.22 },
-                { min: 201050, max: 383900, rate: 0.24 },
-                { min: 383900, max: 487450, rate: 0.32 },
-                { min: 487450, max: 731200, rate: 0.35 },
-                { min: 731200, max: Infinity, rate: 0.37 }
-            ],
-            marriedFilingSeparately: [
-                { min: 0, max: 11550, rate: 0.10 },
-                { min: 11550, max: 46650, rate: 0.12 },
-                { min: 46650, max: 100525, rate: 0.22 },
-                { min: 100525, max: 191950, rate: 0.24 },
-                { min: 191950, max: 243725, rate: 0.32 },
-                { min: 243725, max: 365600, rate: 0.35 },
-                { min: 365600, max: Infinity, rate: 0.37 }
-            ],
-            headOfHousehold: [
-                { min: 0, max: 16550, rate: 0.10 },
-                { min: 16550, max: 63100, rate: 0.12 },
-                { min: 63100, max: 100500, rate: 0.22 },
-                { min: 100500, max: 191950, rate: 0.24 },
-                { min: 191950, max: 243700, rate: 0.32 },
-                { min: 243700, max: 609350, rate: 0.35 },
-                { min: 609350, max: Infinity, rate: 0.37 }
-            ]
-        };
-
-        // 2025 Standard Deductions
-        this.standardDeductions = {
-            single: 15000,
-            marriedFilingJointly: 30000,
-            marriedFilingSeparately: 15000,
-            headOfHousehold: 22500
-        };
+    constructor(
+        stateTaxTables = TaxCalculator.loadTaxTables('state-tax-tables', 'StateTaxTables'),
+        localTaxTables = TaxCalculator.loadTaxTables('local-tax-tables', 'LocalTaxTables'),
+        federalTaxTables = TaxCalculator.loadTaxTables('federal-tax-tables', 'FederalTaxTables')
+    ) {
+        // Versioned federal tables (js/data/federal-tax-tables.js); setTaxYear fills in
+        // federalBrackets, standardDeductions, the wage base, alternativeMinimumTax, contributionLimits
+        // and rothIraPhaseOut
+        this.federalTaxTables = federalTaxTables;
+        this.inflationRate = federalTaxTables.inflationRate;
 
-        // 2025 FICA Tax Rates
+        // FICA Tax Rates (the Social Security wage base is set per tax year)
         this.ficaRates = {
             socialSecurity: 0.062,
             medicare: 0.0145,
-            additionalMedicare: 0.009, // Additional 0.9% on wages over $200k
-            socialSecurityWageBase: 176100 // 2025 wage base limit
+            additionalMedicare: 0.009, // Additional 0.9% on wages over the threshold below
+            socialSecurityWageBase: 0
+        };
+
+        // Additional Medicare Tax thresholds (combined wages on a joint return)
+        this.additionalMedicareThresholds = {
+            single: 200000,
+            marriedFilingJointly: 250000,
+            marriedFilingSeparately: 125000,
+            headOfHousehold: 200000
+        };
+
+        // Investment income rules fixed in statute
+        this.investmentIncomeRules = {
+            capitalLossLimit: 3000, // Net capital loss deductible against other income (half if married filing separately)
+            netInvestmentIncomeTaxRate: 0.038,
+            netInvestmentIncomeThresholds: {
+                single: 200000,
+                marriedFilingJointly: 250000,
+                marriedFilingSeparately: 125000,
+                headOfHousehold: 200000
+            }
+        };
+
+        // Self-employment tax is both halves of FICA on 92.35% of net profit
+        this.selfEmploymentRates = {
+            netEarningsFactor: 0.9235,
+            minimumEarnings: 400 // No SE tax below $400 of net earnings
+        };
+
+        // Which wages each pre-tax payroll deduction is excluded from; states can
+        // override the state treatment with `preTaxDeductions` in their table entry
+        this.preTaxDeductionTypes = {
+            retirement401k: { federal: true, state: true, fica: false }, // Deferrals still pay Social Security and Medicare
+            healthInsurance: { federal: true, state: true, fica: true }, // Section 125 premiums
+            hsa: { federal: true, state: true, fica: true }, // Through a Section 125 cafeteria plan
+            dependentCareFsa: { federal: true, state: true, fica: true }, // Reduces the dependent care credit
+            other: { federal: true, state: true, fica: true } // Health FSAs, commuter benefits
+        };
+
+        // Catch-up contribution ages; from 60 through 63 the larger super catch-up replaces the age-50 one
+        this.catchUpAges = {
+            retirement401k: 50,
+            retirement401kSuperCatchUp: { min: 60, max: 63 },
+            hsa: 55,
+            ira: 50
         };
 
-        // State tax rates (simplified - some states have more complex calculations)
-        this.stateTaxRates = {
-            // No income tax states
-            'AK': { type: 'none' },
-            'FL': { type: 'none' },
-            'NV': { type: 'none' },
-            'NH': { type: 'none' }, // Eliminated interest/dividends tax in 2025
-            'SD': { type: 'none' },
-            'TN': { type: 'none' },
-            'TX': { type: 'none' },
-            'WA': { type: 'none' },
-            'WY': { type: 'none' },
-            
-            // Flat rate states (examples)
-            'CO': { type: 'flat', rate: 0.044 },
-            'IL': { type: 'flat', rate: 0.0495 },
-            'IN': { type: 'flat', rate: 0.030 }, // Reduced from 3.05% in 2025
-            'IA': { type: 'flat', rate: 0.038 }, // New flat rate in 2025
-            'KY': { type: 'flat', rate: 0.045 },
-            'MI': { type: 'flat', rate: 0.0425 },
-            'NC': { type: 'flat', rate: 0.045 },
-            'PA': { type: 'flat', rate: 0.0307 },
-            'UT': { type: 'flat', rate: 0.0485 },
-            
-            // Progressive states (simplified brackets - actual calculations may be more complex)
-            'CA': {
-                type: 'progressive',
-                brackets: [
-                    { min: 0, max: 10099, rate: 0.01 },
-                    { min: 10099, max: 23942, rate: 0.02 },
-                    { min: 23942, max: 37788, rate: 0.04 },
-                    { min: 37788, max: 52455, rate: 0.06 },
-                    { min: 52455, max: 66295, rate: 0.08 },
-                    { min: 66295, max: 338639, rate: 0.093 },
-                    { min: 338639, max: 406364, rate: 0.103 },
-                    { min: 406364, max: 677278, rate: 0.113 },
-                    { min: 677278, max: Infinity, rate: 0.123 }
-                ]
+        // Itemized deduction limits as a share of AGI
+        this.itemizedDeductionRules = {
+            medicalExpenseFloor: 0.075, // Only medical expenses above 7.5% of AGI count
+            charitableLimit: 0.60 // Cash gifts to public charities
+        };
+
+        // State income tax tables (all 50 states + DC), loaded from js/data/state-tax-tables.js
+        this.stateTaxYear = stateTaxTables.year;
+        this.stateTaxRates = stateTaxTables.states;
+
+        // City/county income taxes keyed by state, then locality (js/data/local-tax-tables.js)
+        this.localTaxRates = localTaxTables.localities;
+
+        this.setTaxYear(federalTaxTables.defaultYear);
+    }
+
+    /**
+     * Get the tax years with published federal tables
+     */
+    getPublishedTaxYears() {
+        return Object.keys(this.federalTaxTables.years).map(Number).sort((a, b) => a - b);
+    }
+
+    /**
+     * Get the federal dataset for a tax year
+     * Years after the latest published table are projected from it with the inflation rate
+     */
+    getTaxYearData(taxYear, inflationRate = this.inflationRate) {
+        const year = Number(taxYear);
+        const published = this.federalTaxTables.years[year];
+        if (published) {
+            return { taxYear: year, projected: false, ...published };
+        }
+
+        const publishedYears = this.getPublishedTaxYears();
+        const latestYear = publishedYears[publishedYears.length - 1];
+        if (!Number.isInteger(year) || year < latestYear) {
+            throw new Error(`No federal tax tables for ${taxYear}`);
+        }
+
+        const factor = Math.pow(1 + inflationRate, year - latestYear);
+        const rounding = this.federalTaxTables.indexingRounding;
+        const index = (amount, step) => (step ? Math.floor(amount * factor / step) * step : amount);
+        const indexAll = (amounts, step) => Object.fromEntries(
+            Object.entries(amounts).map(([key, amount]) => [key, index(amount, typeof step === 'object' ? step[key] : step)])
+        );
+        const latest = this.federalTaxTables.years[latestYear];
+
+        return {
+            taxYear: year,
+            projected: true,
+            brackets: Object.fromEntries(Object.entries(latest.brackets).map(([status, brackets]) => [
+                status,
+                brackets.map(bracket => ({
+                    min: index(bracket.min, rounding.brackets),
+                    max: bracket.max === Infinity ? Infinity : index(bracket.max, rounding.brackets),
+                    rate: bracket.rate
+                }))
+            ])),
+            capitalGainsBrackets: Object.fromEntries(Object.entries(latest.capitalGainsBrackets).map(([status, brackets]) => [
+                status,
+                brackets.map(bracket => ({
+                    min: index(bracket.min, rounding.capitalGainsBrackets),
+                    max: bracket.max === Infinity ? Infinity : index(bracket.max, rounding.capitalGainsBrackets),
+                    rate: bracket.rate
+                }))
+            ])),
+            standardDeductions: indexAll(latest.standardDeductions, rounding.standardDeductions),
+            saltCap: this.projectSaltCap(latest.saltCap, latestYear, year),
+            credits: {
+                ...latest.credits,
+                childTaxCredit: {
+                    ...latest.credits.childTaxCredit,
+                    amount: index(latest.credits.childTaxCredit.amount, rounding.credits.childTaxCredit),
+                    refundableLimit: index(latest.credits.childTaxCredit.refundableLimit, rounding.credits.childTaxCredit)
+                },
+                earnedIncomeCredit: {
+                    ...latest.credits.earnedIncomeCredit,
+                    maxCredit: latest.credits.earnedIncomeCredit.maxCredit.map(amount => index(amount, rounding.credits.earnedIncomeCredit)),
+                    phaseOutThreshold: Object.fromEntries(Object.entries(latest.credits.earnedIncomeCredit.phaseOutThreshold).map(([status, amounts]) => [
+                        status,
+                        amounts.map(amount => index(amount, rounding.credits.earnedIncomeCredit))
+                    ])),
+                    investmentIncomeLimit: index(latest.credits.earnedIncomeCredit.investmentIncomeLimit, rounding.credits.earnedIncomeCredit)
+                }
+            },
+            socialSecurityWageBase: index(latest.socialSecurityWageBase, rounding.socialSecurityWageBase),
+            qbiDeduction: {
+                ...latest.qbiDeduction,
+                threshold: indexAll(latest.qbiDeduction.threshold, rounding.qbiDeduction)
             },
-            'NY': {
-                type: 'progressive',
-                brackets: [
-                    { min: 0, max: 8500, rate: 0.04 },
-                    { min: 8500, max: 11700, rate: 0.045 },
-                    { min: 11700, max: 13900, rate: 0.0525 },
-                    { min: 13900, max: 80650, rate: 0.0585 },
-                    { min: 80650, max: 215400, rate: 0.0625 },
-                    { min: 215400, max: 1077550, rate: 0.0685 },
-                    { min: 1077550, max: 5000000, rate: 0.0965 },
-                    { min: 5000000, max: 25000000, rate: 0.103 },
-                    { min: 25000000, max: Infinity, rate: 0.109 }
-                ]
+            alternativeMinimumTax: {
+                ...latest.alternativeMinimumTax,
+                exemption: indexAll(latest.alternativeMinimumTax.exemption, rounding.alternativeMinimumTax),
+                phaseOutThreshold: indexAll(latest.alternativeMinimumTax.phaseOutThreshold, rounding.alternativeMinimumTax),
+                rateThreshold: indexAll(latest.alternativeMinimumTax.rateThreshold, rounding.alternativeMinimumTax)
+            },
+            contributionLimits: indexAll(latest.contributionLimits, rounding.contributionLimits),
+            rothIraPhaseOut: {
+                ...latest.rothIraPhaseOut,
+                start: indexAll(latest.rothIraPhaseOut.start, rounding.rothIraPhaseOut)
             }
         };
     }
 
+    /**
+     * Project the SALT cap from a published year by the statutory schedule: 1% a year,
+     * rounded down to the dollar, through its last indexed year, then the expired cap
+     */
+    projectSaltCap(saltCap, fromYear, toYear) {
+        const { annualIncrease, lastIndexedYear, afterExpiration } = this.federalTaxTables.saltCapSchedule;
+        if (toYear > lastIndexedYear) return afterExpiration;
+
+        let { limit, phaseOutThreshold } = saltCap;
+        for (let year = fromYear; year < toYear; year++) {
+            limit = Math.floor(Math.round(limit * (1 + annualIncrease) * 100) / 100);
+            phaseOutThreshold = Math.floor(Math.round(phaseOutThreshold * (1 + annualIncrease) * 100) / 100);
+        }
+        return { ...saltCap, limit, phaseOutThreshold };
+    }
+
+    /**
+     * Switch the calculator to a tax year's brackets, deductions, wage base and limits
+     */
+    setTaxYear(taxYear, inflationRate = this.inflationRate) {
+        const data = this.getTaxYearData(taxYear, inflationRate);
+
+        this.taxYear = data.taxYear;
+        this.taxYearProjected = data.projected;
+        this.federalBrackets = data.brackets;
+        this.capitalGainsBrackets = data.capitalGainsBrackets;
+        this.standardDeductions = data.standardDeductions;
+        this.saltCap = data.saltCap;
+        this.credits = data.credits;
+        this.ficaRates.socialSecurityWageBase = data.socialSecurityWageBase;
+        this.qbiDeduction = data.qbiDeduction;
+        this.alternativeMinimumTax = data.alternativeMinimumTax;
+        this.contributionLimits = data.contributionLimits;
+        this.rothIraPhaseOut = data.rothIraPhaseOut;
+
+        return data;
+    }
+
     /**
      * Calculate federal income tax using progressive brackets
      */
@@ -138,41 +234,459 @@ class TaxCalculator {
     }
 
     /**
-     * Calculate state income tax
+     * Calculate federal income tax with long-term gains and qualified dividends stacked
+     * on top of ordinary income at the 0%/15%/20% rates
+     */
+    calculateFederalTaxWithGains(taxableIncome, preferentialIncome, filingStatus = 'single') {
+        const preferential = Math.min(Math.max(0, preferentialIncome), taxableIncome);
+        const ordinaryIncome = taxableIncome - preferential;
+
+        let tax = this.calculateFederalTax(ordinaryIncome, filingStatus);
+        for (const bracket of this.capitalGainsBrackets[filingStatus]) {
+            const taxableInBracket = Math.min(taxableIncome, bracket.max) - Math.max(ordinaryIncome, bracket.min);
+            if (taxableInBracket > 0) {
+                tax += taxableInBracket * bracket.rate;
+            }
+        }
+
+        return Math.round(tax * 100) / 100;
+    }
+
+    /**
+     * Calculate the alternative minimum tax (Form 6251)
+     * AMT income adds back the standard deduction, or the SALT part of itemized deductions,
+     * plus the spread on incentive stock options exercised and held at year-end. The exemption
+     * phases out above its threshold and the rest is taxed at 26%/28%, with long-term gains
+     * and qualified dividends keeping their 0%/15%/20% rates. AMT is the amount by which this
+     * tentative minimum tax exceeds regular tax.
+     * @param {Object} params
+     * @param {number} params.adjustedIncome - AGI
+     * @param {number} params.qbiDeduction - also allowed for AMT
+     * @param {Object} params.federalDeduction - the return's chooseDeduction result with itemizedBreakdown
+     * @param {number} params.regularTax - federal tax before credits
+     */
+    calculateAlternativeMinimumTax({ adjustedIncome, qbiDeduction = 0, federalDeduction, regularTax, filingStatus = 'single', isoExerciseSpread = 0, preferentialIncome = 0 }) {
+        const { rates, exemption, phaseOutThreshold, phaseOutRate, rateThreshold } = this.alternativeMinimumTax;
+        const round = (amount) => Math.round(amount * 100) / 100;
+
+        const allowedItemized = federalDeduction && federalDeduction.method === 'itemized'
+            ? federalDeduction.amount - federalDeduction.itemizedBreakdown.salt : 0;
+        const income = Math.max(0, adjustedIncome - allowedItemized - qbiDeduction + isoExerciseSpread);
+
+        const exemptionAmount = Math.max(0, this.resolveStateValue(exemption, filingStatus)
+            - phaseOutRate * Math.max(0, income - this.resolveStateValue(phaseOutThreshold, filingStatus)));
+        const base = Math.max(0, income - exemptionAmount);
+        const threshold = this.resolveStateValue(rateThreshold, filingStatus);
+        const taxAtAmtRates = (amount) => Math.min(amount, threshold) * rates[0] + Math.max(0, amount - threshold) * rates[1];
+
+        // Gains stack on top of ordinary AMT income, as for regular tax
+        const preferential = Math.min(Math.max(0, preferentialIncome), base);
+        const ordinaryIncome = base - preferential;
+        let taxWithGains = taxAtAmtRates(ordinaryIncome);
+        for (const bracket of this.capitalGainsBrackets[filingStatus]) {
+            const taxableInBracket = Math.min(base, bracket.max) - Math.max(ordinaryIncome, bracket.min);
+            if (taxableInBracket > 0) {
+                taxWithGains += taxableInBracket * bracket.rate;
+            }
+        }
+
+        const tentativeMinimumTax = round(Math.min(taxWithGains, taxAtAmtRates(base)));
+        return {
+            income: round(income),
+            exemption: round(exemptionAmount),
+            tentativeMinimumTax,
+            amount: round(Math.max(0, tentativeMinimumTax - regularTax))
+        };
+    }
+
+    /**
+     * Net a return's investment income the way Schedule D does
+     * Short- and long-term results offset each other; a net loss reduces other income
+     * only up to the capital loss limit
+     * @param {Object} investments - interest, qualifiedDividends, shortTermCapitalGains, longTermCapitalGains
+     */
+    summarizeInvestmentIncome(investments = {}, filingStatus = 'single') {
+        const interest = investments.interest || 0;
+        const qualifiedDividends = investments.qualifiedDividends || 0;
+        const shortTerm = investments.shortTermCapitalGains || 0;
+        const longTerm = investments.longTermCapitalGains || 0;
+
+        const netGain = shortTerm + longTerm;
+        const lossLimit = this.investmentIncomeRules.capitalLossLimit / (filingStatus === 'marriedFilingSeparately' ? 2 : 1);
+        const capitalGainIncome = Math.max(netGain, -lossLimit);
+        const longTermGain = Math.max(0, Math.min(longTerm, netGain)); // Net capital gain
+        const shortTermGain = Math.max(0, Math.min(shortTerm, netGain));
+
+        return {
+            interest,
+            qualifiedDividends,
+            shortTermGain,
+            longTermGain,
+            capitalGainIncome,
+            total: interest + qualifiedDividends + capitalGainIncome,
+            preferentialIncome: qualifiedDividends + longTermGain,
+            netInvestmentIncome: interest + qualifiedDividends + Math.max(0, netGain)
+        };
+    }
+
+    /**
+     * Calculate the 3.8% Net Investment Income Tax on the lesser of net investment
+     * income and modified AGI over the (unindexed) threshold
+     */
+    calculateNetInvestmentIncomeTax(netInvestmentIncome, adjustedIncome, filingStatus = 'single') {
+        const { netInvestmentIncomeTaxRate, netInvestmentIncomeThresholds } = this.investmentIncomeRules;
+        const threshold = this.resolveStateValue(netInvestmentIncomeThresholds, filingStatus);
+        const taxed = Math.min(Math.max(0, netInvestmentIncome), Math.max(0, adjustedIncome - threshold));
+        return Math.round(taxed * netInvestmentIncomeTaxRate * 100) / 100;
+    }
+
+    /**
+     * Load a bundled tax table from js/data (script global in the browser, module in Node)
+     */
+    static loadTaxTables(fileName, globalName) {
+        if (typeof module !== 'undefined' && module.exports) {
+            return require(`../data/${fileName}`);
+        }
+        return window[globalName];
+    }
+
+    /**
+     * Split pre-tax deductions into the amounts excluded from federal, state and FICA wages
+     * @param {number|Object} preTexDeductions - amounts keyed by deduction type; a plain
+     *   number is treated as an 'other' deduction excluded everywhere
+     */
+    resolvePreTaxDeductions(preTexDeductions, state = null) {
+        const byType = typeof preTexDeductions === 'object' && preTexDeductions !== null
+            ? preTexDeductions
+            : { other: preTexDeductions || 0 };
+        const stateOverrides = state ? (this.getStateInfo(state).preTaxDeductions || {}) : {};
+
+        const result = { federal: 0, state: 0, fica: 0, total: 0 };
+        for (const [type, amount] of Object.entries(byType)) {
+            const treatment = this.preTaxDeductionTypes[type] || this.preTaxDeductionTypes.other;
+            const stateExcluded = stateOverrides[type] !== undefined ? stateOverrides[type] : treatment.state;
+
+            result.federal += treatment.federal ? (amount || 0) : 0;
+            result.state += stateExcluded ? (amount || 0) : 0;
+            result.fica += treatment.fica ? (amount || 0) : 0;
+            result.total += amount || 0;
+        }
+        return result;
+    }
+
+    /**
+     * Get one person's contribution limits for the tax year from the registry
+     * (federal tables' `contributionLimits`), with the catch-ups their age allows
+     * @param {Object} person - `age` at year-end and `hsaCoverage` ('self' or 'family')
+     */
+    getContributionLimits({ age = 0, hsaCoverage = 'self' } = {}, filingStatus = 'single') {
+        const limits = this.contributionLimits;
+        const ages = this.catchUpAges;
+
+        const superCatchUp = age >= ages.retirement401kSuperCatchUp.min && age <= ages.retirement401kSuperCatchUp.max;
+        const retirement401kCatchUp = superCatchUp
+            ? limits.retirement401kSuperCatchUp
+            : (age >= ages.retirement401k ? limits.retirement401kCatchUp : 0);
+
+        return {
+            retirement401k: limits.retirement401k + retirement401kCatchUp,
+            // Catch-up deferrals don't count toward the annual additions limit
+            annualAdditions: limits.annualAdditions + retirement401kCatchUp,
+            hsa: (hsaCoverage === 'family' ? limits.hsaFamily : limits.hsaSelf) + (age >= ages.hsa ? limits.hsaCatchUp : 0),
+            ira: limits.ira + (age >= ages.ira ? limits.iraCatchUp : 0),
+            // Per household, not per person
+            dependentCareFsa: limits.dependentCareFsa / (filingStatus === 'marriedFilingSeparately' ? 2 : 1)
+        };
+    }
+
+    /**
+     * Get the direct Roth IRA contribution limit after the modified-AGI phase-out
+     * The limit shrinks proportionally over the phase-out range; a partial limit rounds up
+     * to the next $10 and is at least $200
+     * @param {number} iraLimit - the person's IRA limit, catch-up included (getContributionLimits)
+     */
+    calculateRothIraLimit(modifiedAGI, iraLimit, filingStatus = 'single') {
+        const start = this.resolveStateValue(this.rothIraPhaseOut.start, filingStatus);
+        const range = this.resolveStateValue(this.rothIraPhaseOut.range, filingStatus);
+        const phaseOut = { start, end: start + range };
+
+        if (modifiedAGI <= start) return { limit: iraLimit, phaseOut };
+        if (modifiedAGI >= phaseOut.end) return { limit: 0, phaseOut };
+
+        const reduced = Math.ceil(iraLimit * (phaseOut.end - modifiedAGI) / range / 10) * 10;
+        return { limit: Math.min(iraLimit, Math.max(200, reduced)), phaseOut };
+    }
+
+    /**
+     * Add up several filers' pre-tax deductions by type (for a joint return)
      */
-    calculateStateTax(taxableIncome, state) {
+    combinePreTaxDeductions(deductionsList) {
+        return deductionsList.reduce((combined, deductions) => {
+            const byType = typeof deductions === 'object' && deductions !== null ? deductions : { other: deductions || 0 };
+            for (const [type, amount] of Object.entries(byType)) {
+                combined[type] = (combined[type] || 0) + (amount || 0);
+            }
+            return combined;
+        }, {});
+    }
+
+    /**
+     * Get the tax table entry for a state
+     */
+    getStateInfo(state) {
         const stateInfo = this.stateTaxRates[state];
         if (!stateInfo) {
-            // Default to 5% if state not found
-            return taxableIncome * 0.05;
+            throw new Error(`Unknown state: ${state}`);
         }
+        return stateInfo;
+    }
+
+    /**
+     * Resolve a state table value that may be a single amount or keyed by filing status
+     */
+    resolveStateValue(value, filingStatus) {
+        if (value === undefined || value === null) return 0;
+        if (typeof value !== 'object') return value;
+        return value[filingStatus] !== undefined ? value[filingStatus] : (value.single || 0);
+    }
+
+    /**
+     * Get the state bracket schedule for a filing status
+     * States without a separate schedule for a status tax it on the single-filer schedule
+     */
+    getStateBrackets(state, filingStatus = 'single') {
+        if (!this.federalBrackets[filingStatus]) {
+            throw new Error(`Invalid filing status: ${filingStatus}`);
+        }
+
+        const stateInfo = this.getStateInfo(state);
+        if (!stateInfo.brackets) return [];
+        if (Array.isArray(stateInfo.brackets)) {
+            return stateInfo.brackets;
+        }
+        return stateInfo.brackets[filingStatus] || stateInfo.brackets.single;
+    }
+
+    /**
+     * Get the number of filers on a return (personal exemptions and credits are per filer)
+     */
+    getFilerCount(filingStatus) {
+        return filingStatus === 'marriedFilingJointly' ? 2 : 1;
+    }
+
+    /**
+     * Get state standard deduction for filing status
+     */
+    getStateStandardDeduction(state, filingStatus) {
+        const stateInfo = this.getStateInfo(state);
+        if (stateInfo.standardDeduction === 'federal') {
+            return this.getStandardDeduction(filingStatus);
+        }
+        return this.resolveStateValue(stateInfo.standardDeduction, filingStatus);
+    }
 
+    /**
+     * Calculate state taxable income from income after pre-tax deductions
+     */
+    calculateStateTaxableIncome(adjustedIncome, state, filingStatus = 'single', dependents = 0, deduction = this.getStateStandardDeduction(state, filingStatus)) {
+        const stateInfo = this.getStateInfo(state);
+        if (stateInfo.type === 'none') return 0;
+
+        const exemptions = this.resolveStateValue(stateInfo.personalExemption, filingStatus) * this.getFilerCount(filingStatus)
+            + (stateInfo.dependentExemption || 0) * dependents;
+
+        return Math.max(0, adjustedIncome - deduction - exemptions);
+    }
+
+    /**
+     * Calculate state income tax (brackets, surtaxes, then nonrefundable credits)
+     */
+    calculateStateTax(taxableIncome, state, filingStatus = 'single', dependents = 0) {
+        const stateInfo = this.getStateInfo(state);
+
+        let tax = 0;
         switch (stateInfo.type) {
             case 'none':
                 return 0;
-            
+
             case 'flat':
-                return taxableIncome * stateInfo.rate;
-            
+                tax = taxableIncome * stateInfo.rate;
+                break;
+
             case 'progressive':
-                let tax = 0;
-                for (const bracket of stateInfo.brackets) {
+                for (const bracket of this.getStateBrackets(state, filingStatus)) {
                     if (taxableIncome > bracket.min) {
                         const taxableInBracket = Math.min(taxableIncome, bracket.max) - bracket.min;
                         tax += taxableInBracket * bracket.rate;
                     }
                 }
-                return Math.round(tax * 100) / 100;
-            
+                break;
+
             default:
-                return 0;
+                throw new Error(`Unsupported state tax type for ${state}: ${stateInfo.type}`);
         }
+
+        for (const surtax of stateInfo.surtaxes || []) {
+            if (taxableIncome > surtax.threshold) {
+                tax += (taxableIncome - surtax.threshold) * surtax.rate;
+            }
+        }
+
+        tax = Math.max(0, tax - this.calculateStateCredits(state, filingStatus, dependents, taxableIncome));
+        return Math.round(tax * 100) / 100;
+    }
+
+    /**
+     * Get the net long-term gain a state leaves out of income
+     */
+    getStateCapitalGainsExclusion(state, investmentSummary) {
+        const rules = this.getStateInfo(state).capitalGains;
+        return rules && rules.exclusion ? investmentSummary.longTermGain * rules.exclusion : 0;
+    }
+
+    /**
+     * Apply a state's special capital gains rates on top of its regular income tax
+     * (see the `capitalGains` conventions in js/data/state-tax-tables.js)
+     */
+    applyStateCapitalGainsRules(tax, taxableIncome, investmentSummary, state, filingStatus = 'single', dependents = 0) {
+        const stateInfo = this.getStateInfo(state);
+        const rules = stateInfo.capitalGains;
+        if (!rules) return tax;
+
+        let adjustedTax = tax;
+        const longTermGain = Math.min(investmentSummary.longTermGain, taxableIncome);
+
+        if (rules.maxRate && longTermGain > 0) {
+            const cappedTax = this.calculateStateTax(taxableIncome - longTermGain, state, filingStatus, dependents)
+                + longTermGain * rules.maxRate;
+            adjustedTax = Math.min(adjustedTax, cappedTax);
+        }
+
+        if (rules.shortTermRate) {
+            const shortTermGain = Math.min(investmentSummary.shortTermGain, taxableIncome);
+            adjustedTax += shortTermGain * (rules.shortTermRate - stateInfo.rate);
+        }
+
+        if (rules.excise) {
+            const taxableGain = investmentSummary.longTermGain - rules.excise.deduction;
+            for (const bracket of rules.excise.brackets) {
+                if (taxableGain > bracket.min) {
+                    adjustedTax += (Math.min(taxableGain, bracket.max) - bracket.min) * bracket.rate;
+                }
+            }
+        }
+
+        return Math.round(adjustedTax * 100) / 100;
+    }
+
+    /**
+     * Calculate nonrefundable state credits (personal, dependent, standard-deduction based)
+     * The standard-deduction credit phases out with `taxableIncome` when the state says so
+     */
+    calculateStateCredits(state, filingStatus = 'single', dependents = 0, taxableIncome = 0) {
+        const credits = this.getStateInfo(state).credits;
+        if (!credits) return 0;
+
+        let standardDeductionCredit = (credits.standardDeductionRate || 0) * this.getStandardDeduction(filingStatus);
+        const phaseOut = credits.standardDeductionPhaseOut;
+        if (phaseOut) {
+            const excess = Math.max(0, taxableIncome - this.resolveStateValue(phaseOut.threshold, filingStatus));
+            standardDeductionCredit = Math.max(0, standardDeductionCredit - excess * phaseOut.rate);
+        }
+
+        return (credits.personal || 0) * this.getFilerCount(filingStatus)
+            + (credits.dependent || 0) * dependents
+            + standardDeductionCredit;
+    }
+
+    /**
+     * Find the local tax entry for a free-text locality (matches names and aliases)
+     * Returns null when the locality levies no income tax or is not in the tables
+     */
+    getLocalTaxInfo(state, locality) {
+        if (!locality) return null;
+
+        const normalize = (name) => name.trim().toLowerCase();
+        const target = normalize(locality);
+        const stateLocalities = this.localTaxRates[state] || {};
+
+        for (const [name, info] of Object.entries(stateLocalities)) {
+            if (normalize(name) === target || (info.aliases || []).some(alias => normalize(alias) === target)) {
+                return { name, ...info };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the localities with an income tax in a state
+     */
+    getLocalities(state) {
+        return Object.keys(this.localTaxRates[state] || {});
+    }
+
+    /**
+     * Calculate local (city/county/school district) income tax for one return
+     * @param {Object} params
+     * @param {string} params.state
+     * @param {string} params.locality - free text from household.location.locality
+     * @param {string} params.filingStatus
+     * @param {number} params.wages - combined Medicare wages of the return's earners
+     * @param {number} params.stateTaxableIncome
+     * @param {number} params.stateTax
+     * @param {number} params.earners - number of employed residents on the return
+     */
+    calculateLocalTax({ state, locality, filingStatus = 'single', wages = 0, stateTaxableIncome = 0, stateTax = 0, earners = 1 }) {
+        const localInfo = this.getLocalTaxInfo(state, locality);
+        if (!localInfo) {
+            return { jurisdiction: null, tax: 0, marginalRate: 0 };
+        }
+
+        const base = localInfo.base === 'wages' ? wages : stateTaxableIncome;
+        let tax = 0;
+        let marginalRate = 0;
+
+        switch (localInfo.type) {
+            case 'flat':
+                tax = base * localInfo.rate;
+                marginalRate = localInfo.rate;
+                break;
+
+            case 'progressive': {
+                const brackets = localInfo.brackets[filingStatus] || localInfo.brackets.single;
+                for (const bracket of brackets) {
+                    if (base > bracket.min) {
+                        tax += (Math.min(base, bracket.max) - bracket.min) * bracket.rate;
+                        marginalRate = bracket.rate;
+                    }
+                }
+                break;
+            }
+
+            case 'surcharge':
+                tax = stateTax * localInfo.rate;
+                marginalRate = this.calculateStateMarginalRate(stateTaxableIncome, state, filingStatus) * localInfo.rate;
+                break;
+
+            case 'perCapita':
+                tax = wages > 0 ? localInfo.amount * earners : 0;
+                break;
+
+            default:
+                throw new Error(`Unsupported local tax type for ${localInfo.name}: ${localInfo.type}`);
+        }
+
+        return {
+            jurisdiction: localInfo.name,
+            tax: Math.round(tax * 100) / 100,
+            marginalRate
+        };
     }
 
     /**
      * Calculate FICA taxes (Social Security + Medicare)
      */
-    calculateFICA(grossWages) {
+    calculateFICA(grossWages, additionalMedicareThreshold = 200000) {
         // Social Security tax (6.2% up to wage base)
         const socialSecurityWages = Math.min(grossWages, this.ficaRates.socialSecurityWageBase);
         const socialSecurityTax = socialSecurityWages * this.ficaRates.socialSecurity;
@@ -180,9 +694,9 @@ class TaxCalculator {
         // Medicare tax (1.45% on all wages)
         const medicareTax = grossWages * this.ficaRates.medicare;
 
-        // Additional Medicare tax (0.9% on wages over $200k)
-        const additionalMedicareTax = grossWages > 200000 
-            ? (grossWages - 200000) * this.ficaRates.additionalMedicare 
+        // Additional Medicare tax (0.9% on wages over the threshold)
+        const additionalMedicareTax = grossWages > additionalMedicareThreshold 
+            ? (grossWages - additionalMedicareThreshold) * this.ficaRates.additionalMedicare 
             : 0;
 
         return {
@@ -193,6 +707,137 @@ class TaxCalculator {
         };
     }
 
+    /**
+     * Calculate one person's state payroll taxes (disability, paid leave, unemployment,
+     * long-term care) from the state table's `payrollTaxes`
+     * @param {number} wages - payroll wages (after deductions excluded from FICA)
+     * @param {number} wagesToDate - wages already paid this year, for wage caps mid-year
+     */
+    calculateStatePayrollTaxes(wages, state, wagesToDate = 0) {
+        const round = (amount) => Math.round(amount * 100) / 100;
+        const taxes = (this.getStateInfo(state).payrollTaxes || []).map(payrollTax => {
+            const wageBase = payrollTax.wageBase === 'socialSecurity'
+                ? this.ficaRates.socialSecurityWageBase
+                : (payrollTax.wageBase !== undefined ? payrollTax.wageBase : Infinity);
+            const maxContribution = payrollTax.maxContribution !== undefined ? payrollTax.maxContribution : Infinity;
+            const contribution = (amount) => Math.min(Math.min(Math.max(0, amount), wageBase) * payrollTax.rate, maxContribution);
+
+            return {
+                name: payrollTax.name,
+                label: payrollTax.label,
+                amount: round(contribution(wagesToDate + wages) - contribution(wagesToDate))
+            };
+        });
+
+        return { taxes, total: round(taxes.reduce((sum, tax) => sum + tax.amount, 0)) };
+    }
+
+    /**
+     * Add up several people's state payroll taxes, line by line
+     */
+    combineStatePayrollTaxes(statePayrollTaxesList) {
+        const taxes = [];
+        statePayrollTaxesList.filter(Boolean).forEach(statePayrollTaxes => {
+            statePayrollTaxes.taxes.forEach(tax => {
+                const line = taxes.find(existing => existing.name === tax.name);
+                if (line) {
+                    line.amount = Math.round((line.amount + tax.amount) * 100) / 100;
+                } else {
+                    taxes.push({ ...tax });
+                }
+            });
+        });
+
+        return { taxes, total: Math.round(taxes.reduce((sum, tax) => sum + tax.amount, 0) * 100) / 100 };
+    }
+
+    /**
+     * Calculate FICA for each earner on one return
+     * Social Security and base Medicare are per person; the Additional Medicare Tax
+     * applies to the return's combined wages and is shared in proportion to wages
+     */
+    calculateHouseholdFICA(wagesByPerson, filingStatus) {
+        const ficaByPerson = wagesByPerson.map(wages => this.calculateFICA(wages, Infinity));
+
+        const combinedWages = wagesByPerson.reduce((sum, wages) => sum + wages, 0);
+        const threshold = this.getAdditionalMedicareThreshold(filingStatus);
+        const additionalMedicareTax = Math.max(0, combinedWages - threshold) * this.ficaRates.additionalMedicare;
+
+        ficaByPerson.forEach((fica, index) => {
+            const share = combinedWages > 0 ? wagesByPerson[index] / combinedWages : 0;
+            fica.additionalMedicare = Math.round(additionalMedicareTax * share * 100) / 100;
+            fica.total = Math.round((fica.socialSecurity + fica.medicare + fica.additionalMedicare) * 100) / 100;
+        });
+
+        return ficaByPerson;
+    }
+
+    /**
+     * Calculate self-employment tax on a sole proprietor's net profit
+     * W-2 wages use up the Social Security wage base (and the Additional Medicare
+     * threshold) first; half of the SE tax is deductible from income
+     */
+    calculateSelfEmploymentTax(netProfit, wages = 0, additionalMedicareThreshold = 200000) {
+        const netEarnings = Math.max(0, netProfit) * this.selfEmploymentRates.netEarningsFactor;
+        if (netEarnings < this.selfEmploymentRates.minimumEarnings) {
+            return { netEarnings: 0, socialSecurity: 0, medicare: 0, additionalMedicare: 0, total: 0, deduction: 0 };
+        }
+
+        const socialSecurityEarnings = Math.min(netEarnings, Math.max(0, this.ficaRates.socialSecurityWageBase - wages));
+        const socialSecurityTax = socialSecurityEarnings * this.ficaRates.socialSecurity * 2;
+        const medicareTax = netEarnings * this.ficaRates.medicare * 2;
+        const additionalMedicareTax = Math.max(0, netEarnings - Math.max(0, additionalMedicareThreshold - wages)) * this.ficaRates.additionalMedicare;
+
+        return {
+            netEarnings: Math.round(netEarnings * 100) / 100,
+            socialSecurity: Math.round(socialSecurityTax * 100) / 100,
+            medicare: Math.round(medicareTax * 100) / 100,
+            additionalMedicare: Math.round(additionalMedicareTax * 100) / 100,
+            total: Math.round((socialSecurityTax + medicareTax + additionalMedicareTax) * 100) / 100,
+            deduction: Math.round((socialSecurityTax + medicareTax) / 2 * 100) / 100
+        };
+    }
+
+    /**
+     * Calculate self-employment tax for each earner on one return
+     * Like calculateHouseholdFICA, the Additional Medicare Tax uses the return's combined
+     * threshold, reduced by the combined wages and shared in proportion to SE earnings
+     */
+    calculateHouseholdSelfEmploymentTax(profitsByPerson, wagesByPerson, filingStatus) {
+        const seTaxByPerson = profitsByPerson.map((profit, index) => this.calculateSelfEmploymentTax(profit, wagesByPerson[index], Infinity));
+
+        const combinedWages = wagesByPerson.reduce((sum, wages) => sum + wages, 0);
+        const combinedEarnings = seTaxByPerson.reduce((sum, seTax) => sum + seTax.netEarnings, 0);
+        const threshold = Math.max(0, this.getAdditionalMedicareThreshold(filingStatus) - combinedWages);
+        const additionalMedicareTax = Math.max(0, combinedEarnings - threshold) * this.ficaRates.additionalMedicare;
+
+        seTaxByPerson.forEach(seTax => {
+            const share = combinedEarnings > 0 ? seTax.netEarnings / combinedEarnings : 0;
+            seTax.additionalMedicare = Math.round(additionalMedicareTax * share * 100) / 100;
+            seTax.total = Math.round((seTax.socialSecurity + seTax.medicare + seTax.additionalMedicare) * 100) / 100;
+        });
+
+        return seTaxByPerson;
+    }
+
+    /**
+     * Add self-employment tax to a FICA result so payroll taxes show up as one total
+     */
+    combinePayrollTaxes(fica, selfEmploymentTax) {
+        return {
+            ...fica,
+            selfEmployment: selfEmploymentTax.total,
+            total: Math.round((fica.total + selfEmploymentTax.total) * 100) / 100
+        };
+    }
+
+    /**
+     * Get Additional Medicare Tax threshold for filing status
+     */
+    getAdditionalMedicareThreshold(filingStatus) {
+        return this.additionalMedicareThresholds[filingStatus] || this.additionalMedicareThresholds.single;
+    }
+
     /**
      * Get standard deduction for filing status
      */
@@ -200,6 +845,258 @@ class TaxCalculator {
         return this.standardDeductions[filingStatus] || this.standardDeductions.single;
     }
 
+    /**
+     * Get the SALT deduction cap, reduced for high incomes down to its floor
+     */
+    getSaltCap(adjustedIncome, filingStatus) {
+        const { limit, phaseOutThreshold, phaseOutRate, floor } = this.saltCap;
+        const divisor = filingStatus === 'marriedFilingSeparately' ? 2 : 1;
+
+        const reduction = Math.max(0, adjustedIncome - phaseOutThreshold / divisor) * phaseOutRate;
+        return Math.max(floor / divisor, limit / divisor - reduction);
+    }
+
+    /**
+     * Calculate federal itemized deductions
+     * @param {Object} itemizedDeductions - mortgageInterest, propertyTax, charitableGiving, medicalExpenses
+     * @param {number} stateLocalIncomeTax - state and local income tax, deductible under the SALT cap
+     */
+    calculateItemizedDeductions(adjustedIncome, filingStatus, itemizedDeductions = {}, stateLocalIncomeTax = 0) {
+        const { mortgageInterest = 0, propertyTax = 0, charitableGiving = 0, medicalExpenses = 0 } = itemizedDeductions || {};
+        const rules = this.itemizedDeductionRules;
+
+        const medical = Math.max(0, medicalExpenses - adjustedIncome * rules.medicalExpenseFloor);
+        const salt = Math.min(stateLocalIncomeTax + propertyTax, this.getSaltCap(adjustedIncome, filingStatus));
+        const charitable = Math.min(charitableGiving, Math.max(0, adjustedIncome * rules.charitableLimit));
+
+        return {
+            mortgageInterest,
+            salt: Math.round(salt * 100) / 100,
+            charitable,
+            medical: Math.round(medical * 100) / 100,
+            total: Math.round((mortgageInterest + salt + charitable + medical) * 100) / 100
+        };
+    }
+
+    /**
+     * Calculate state itemized deductions
+     * States don't let filers deduct their own income tax and don't apply the federal SALT cap,
+     * so property tax counts in full; returns 0 where the state doesn't allow itemizing
+     */
+    calculateStateItemizedDeductions(adjustedIncome, state, itemizedDeductions = {}) {
+        const stateInfo = this.getStateInfo(state);
+        if (stateInfo.type === 'none' || stateInfo.standardDeduction === undefined || stateInfo.itemizing === false) {
+            return 0;
+        }
+
+        const { mortgageInterest = 0, propertyTax = 0, charitableGiving = 0, medicalExpenses = 0 } = itemizedDeductions || {};
+        const medical = Math.max(0, medicalExpenses - adjustedIncome * this.itemizedDeductionRules.medicalExpenseFloor);
+
+        return Math.round((mortgageInterest + propertyTax + charitableGiving + medical) * 100) / 100;
+    }
+
+    /**
+     * Pick the larger of the standard and itemized deductions, unless `required` forces one
+     */
+    chooseDeduction(standard, itemized, required = null) {
+        const method = required || (itemized > standard ? 'itemized' : 'standard');
+        return {
+            method,
+            standard,
+            itemized,
+            amount: method === 'itemized' ? itemized : standard
+        };
+    }
+
+    /**
+     * Calculate the qualified business income deduction (Section 199A)
+     * Assumes a business without W-2 payroll or property, so above the threshold the
+     * deduction phases out over the phase-in range; it can't exceed 20% of taxable income
+     * other than net capital gain (long-term gains and qualified dividends)
+     */
+    calculateQBIDeduction(qualifiedBusinessIncome, taxableIncomeBeforeQBI, filingStatus, netCapitalGain = 0) {
+        if (qualifiedBusinessIncome <= 0 || taxableIncomeBeforeQBI <= 0) return 0;
+
+        const { rate, threshold, phaseInRange, minimum } = this.qbiDeduction;
+        const statusThreshold = this.resolveStateValue(threshold, filingStatus);
+        const statusRange = this.resolveStateValue(phaseInRange, filingStatus);
+
+        const phaseOut = Math.min(1, Math.max(0, taxableIncomeBeforeQBI - statusThreshold) / statusRange);
+        let deduction = qualifiedBusinessIncome * rate * (1 - phaseOut);
+        if (minimum && qualifiedBusinessIncome >= minimum.qualifiedIncomeFloor) {
+            deduction = Math.max(deduction, minimum.amount);
+        }
+
+        const incomeLimit = Math.max(0, taxableIncomeBeforeQBI - netCapitalGain) * rate;
+        return Math.round(Math.min(deduction, incomeLimit) * 100) / 100;
+    }
+
+    /**
+     * Calculate the federal credits a return's dependents and earnings qualify for,
+     * before they are limited by the tax owed
+     * @param {Object} params
+     * @param {number} params.adjustedIncome
+     * @param {number[]} params.earnedIncomes - each filer's earned income
+     * @param {string} params.filingStatus
+     * @param {Array<{age: number, careExpenses: number}>} params.dependents
+     * @param {number} params.investmentIncome
+     * @param {number} params.dependentCareBenefits - dependent-care FSA contributions on the return
+     */
+    calculateFederalCredits({ adjustedIncome, earnedIncomes = [adjustedIncome], filingStatus = 'single', dependents = [], investmentIncome = 0, dependentCareBenefits = 0 }) {
+        const rules = this.credits.childTaxCredit;
+        const earnedIncome = earnedIncomes.reduce((sum, income) => sum + income, 0);
+
+        // Child Tax Credit and Credit for Other Dependents share one phase-out
+        const qualifyingChildren = dependents.filter(dependent => (dependent.age || 0) <= rules.maxAge).length;
+        const otherDependents = dependents.length - qualifyingChildren;
+        const phaseOutThreshold = this.resolveStateValue(rules.phaseOutThreshold, filingStatus);
+        const reduction = Math.ceil(Math.max(0, adjustedIncome - phaseOutThreshold) / rules.phaseOutStep) * rules.phaseOutAmount;
+        const childTaxCredit = Math.max(0, qualifyingChildren * rules.amount - reduction);
+        const otherDependentCredit = Math.max(0, otherDependents * rules.otherDependentAmount
+            - Math.max(0, reduction - qualifyingChildren * rules.amount));
+
+        return {
+            qualifyingChildren,
+            otherDependents,
+            childTaxCredit,
+            otherDependentCredit,
+            // Most of the child credit a return can't use is refunded as the Additional Child Tax Credit
+            refundableChildCreditLimit: Math.round(Math.min(
+                qualifyingChildren * rules.refundableLimit,
+                Math.max(0, earnedIncome - rules.earnedIncomeFloor) * rules.refundableRate
+            ) * 100) / 100,
+            dependentCareCredit: this.calculateDependentCareCredit(adjustedIncome, earnedIncomes, filingStatus, dependents, dependentCareBenefits),
+            earnedIncomeCredit: this.calculateEarnedIncomeCredit(adjustedIncome, earnedIncome, filingStatus, dependents, investmentIncome)
+        };
+    }
+
+    /**
+     * Calculate the child and dependent care credit (nonrefundable)
+     * Care costs count up to the expense limit and the lower earner's income; costs paid
+     * through a dependent-care FSA (`dependentCareBenefits`) come off both costs and limit
+     */
+    calculateDependentCareCredit(adjustedIncome, earnedIncomes, filingStatus, dependents = [], dependentCareBenefits = 0) {
+        if (filingStatus === 'marriedFilingSeparately') return 0;
+
+        const rules = this.credits.dependentCareCredit;
+        const qualifying = dependents.filter(dependent => (dependent.age || 0) <= rules.maxAge);
+        if (qualifying.length === 0) return 0;
+
+        const expenses = Math.min(
+            qualifying.reduce((sum, dependent) => sum + (dependent.careExpenses || 0), 0) - dependentCareBenefits,
+            rules.expenseLimits[Math.min(qualifying.length, rules.expenseLimits.length) - 1] - dependentCareBenefits,
+            Math.min(...earnedIncomes)
+        );
+
+        // The rate drops one point per step of income above each phase's start
+        let rate = rules.rateSchedule[0].from;
+        for (const phase of rules.rateSchedule) {
+            const start = this.resolveStateValue(phase.start, filingStatus);
+            const step = this.resolveStateValue(phase.step, filingStatus);
+            const steps = Math.ceil(Math.max(0, adjustedIncome - start) / step);
+            if (steps > 0) {
+                rate = Math.min(rate, Math.max(phase.to, phase.from - steps * 0.01));
+            }
+        }
+
+        return Math.round(Math.max(0, expenses) * rate * 100) / 100;
+    }
+
+    /**
+     * Calculate the earned income tax credit (refundable)
+     * Not available to married filing separately or above the investment income limit
+     */
+    calculateEarnedIncomeCredit(adjustedIncome, earnedIncome, filingStatus, dependents = [], investmentIncome = 0) {
+        const rules = this.credits.earnedIncomeCredit;
+        if (filingStatus === 'marriedFilingSeparately' || investmentIncome > rules.investmentIncomeLimit) return 0;
+
+        const children = Math.min(
+            dependents.filter(dependent => (dependent.age || 0) <= rules.qualifyingChildMaxAge).length,
+            rules.maxCredit.length - 1
+        );
+        const thresholds = filingStatus === 'marriedFilingJointly'
+            ? rules.phaseOutThreshold.marriedFilingJointly
+            : rules.phaseOutThreshold.single;
+
+        const phasedIn = Math.min(earnedIncome * rules.phaseInRates[children], rules.maxCredit[children]);
+        const phaseOut = Math.max(0, Math.max(earnedIncome, adjustedIncome) - thresholds[children]) * rules.phaseOutRates[children];
+
+        return Math.round(Math.max(0, phasedIn - phaseOut) * 100) / 100;
+    }
+
+    /**
+     * Apply federal credits to the tax before credits
+     * Nonrefundable credits stop at zero tax (dependent care first, then the child credits);
+     * the refundable child credit and EITC can take the result below zero
+     */
+    applyFederalCredits(tax, credits) {
+        const dependentCare = Math.min(tax, credits.dependentCareCredit);
+        const childCredits = Math.min(tax - dependentCare, credits.childTaxCredit + credits.otherDependentCredit);
+        const unusedChildCredit = Math.min(credits.childTaxCredit, credits.childTaxCredit + credits.otherDependentCredit - childCredits);
+        const additionalChildTaxCredit = Math.min(unusedChildCredit, credits.refundableChildCreditLimit);
+
+        const nonrefundable = dependentCare + childCredits;
+        const refundable = additionalChildTaxCredit + credits.earnedIncomeCredit;
+
+        return {
+            ...credits,
+            additionalChildTaxCredit,
+            nonrefundable: Math.round(nonrefundable * 100) / 100,
+            refundable: Math.round(refundable * 100) / 100,
+            total: Math.round((nonrefundable + refundable) * 100) / 100
+        };
+    }
+
+    /**
+     * Calculate a state's family credits: shares of the federal EITC and dependent care
+     * credit, and child credits by age
+     */
+    calculateStateFamilyCredits({ state, filingStatus = 'single', adjustedIncome, dependents = [], federalCredits }) {
+        const credits = this.getStateInfo(state).credits || {};
+        const result = { earnedIncomeCredit: 0, dependentCareCredit: 0, childCredit: 0, nonrefundable: 0, refundable: 0, total: 0 };
+
+        const add = (key, amount, refundable) => {
+            const type = refundable ? 'refundable' : 'nonrefundable';
+            result[key] = Math.round(amount * 100) / 100;
+            result[type] = Math.round((result[type] + result[key]) * 100) / 100;
+            result.total = Math.round((result.total + result[key]) * 100) / 100;
+        };
+
+        if (credits.earnedIncome) {
+            add('earnedIncomeCredit', federalCredits.earnedIncomeCredit * credits.earnedIncome.percentOfFederal, credits.earnedIncome.refundable);
+        }
+        if (credits.dependentCare && adjustedIncome <= (credits.dependentCare.incomeLimit || Infinity)) {
+            add('dependentCareCredit', federalCredits.dependentCareCredit * credits.dependentCare.percentOfFederal, credits.dependentCare.refundable);
+        }
+        if (credits.child) {
+            add('childCredit', this.calculateStateChildCredit(credits.child, adjustedIncome, filingStatus, dependents), credits.child.refundable);
+        }
+
+        return result;
+    }
+
+    /**
+     * Calculate a state child credit from its age tiers and phase-out
+     */
+    calculateStateChildCredit(rules, adjustedIncome, filingStatus, dependents = []) {
+        const amounts = dependents.map(dependent => {
+            const tier = rules.tiers.find(candidate => (dependent.age || 0) <= candidate.maxAge);
+            return tier ? tier.amount : 0;
+        });
+        let credit = rules.perReturn ? Math.max(0, ...amounts) : amounts.reduce((sum, amount) => sum + amount, 0);
+
+        if (credit > 0 && rules.phaseOut) {
+            const start = this.resolveStateValue(rules.phaseOut.start, filingStatus);
+            if (rules.phaseOut.end !== undefined) {
+                credit *= Math.min(1, Math.max(0, (rules.phaseOut.end - adjustedIncome) / (rules.phaseOut.end - start)));
+            } else {
+                credit -= Math.ceil(Math.max(0, adjustedIncome - start) / rules.phaseOut.step) * rules.phaseOut.amount;
+            }
+        }
+
+        return Math.max(0, credit);
+    }
+
     /**
      * Calculate effective tax rate
      */
@@ -208,11 +1105,45 @@ class TaxCalculator {
     }
 
     /**
-     * Calculate marginal tax rate (federal + state)
+     * Calculate state marginal rate, including any surtax the income has crossed
+     */
+    calculateStateMarginalRate(taxableIncome, state, filingStatus = 'single') {
+        const stateInfo = this.getStateInfo(state);
+
+        let stateMarginalRate = 0;
+        switch (stateInfo.type) {
+            case 'flat':
+                stateMarginalRate = stateInfo.rate;
+                break;
+            case 'progressive':
+                for (const bracket of this.getStateBrackets(state, filingStatus)) {
+                    if (taxableIncome > bracket.min) {
+                        stateMarginalRate = bracket.rate;
+                    }
+                }
+                break;
+        }
+
+        for (const surtax of stateInfo.surtaxes || []) {
+            if (taxableIncome > surtax.threshold) {
+                stateMarginalRate += surtax.rate;
+            }
+        }
+
+        return stateMarginalRate;
+    }
+
+    /**
+     * Calculate marginal tax rate (federal + state + local)
+     * State brackets apply to state taxable income, which defaults to the federal amount
      */
-    calculateMarginalRate(taxableIncome, filingStatus, state) {
+    calculateMarginalRate(taxableIncome, filingStatus, state, stateTaxableIncome = taxableIncome, localMarginalRate = 0) {
         // Find federal marginal rate
         const federalBrackets = this.federalBrackets[filingStatus];
+        if (!federalBrackets) {
+            throw new Error(`Invalid filing status: ${filingStatus}`);
+        }
+
         let federalMarginalRate = 0;
         for (const bracket of federalBrackets) {
             if (taxableIncome > bracket.min) {
@@ -221,54 +1152,386 @@ class TaxCalculator {
         }
 
         // Find state marginal rate
-        let stateMarginalRate = 0;
-        const stateInfo = this.stateTaxRates[state];
-        if (stateInfo) {
-            switch (stateInfo.type) {
-                case 'flat':
-                    stateMarginalRate = stateInfo.rate;
-                    break;
-                case 'progressive':
-                    for (const bracket of stateInfo.brackets) {
-                        if (taxableIncome > bracket.min) {
-                            stateMarginalRate = bracket.rate;
-                        }
-                    }
-                    break;
-            }
-        }
+        const stateMarginalRate = this.calculateStateMarginalRate(stateTaxableIncome, state, filingStatus);
 
-        return (federalMarginalRate + stateMarginalRate) * 100;
+        return (federalMarginalRate + stateMarginalRate + localMarginalRate) * 100;
     }
 
     /**
-     * Comprehensive tax calculation
+     * Figure a state's income tax as if the filers lived there all year
+     * Returns the state's deduction, taxable income and credits, its tax after nonrefundable
+     * credits (`incomeTax`) and after refundable ones (`tax`)
      */
-    calculateAllTaxes(grossIncome, preTexDeductions, filingStatus, state) {
-        // Calculate taxable income
-        const standardDeduction = this.getStandardDeduction(filingStatus);
-        const taxableIncome = Math.max(0, grossIncome - preTexDeductions - standardDeduction);
+    calculateStateReturn(state, { grossIncome, preTexDeductions, businessIncome, investments, adjustedIncome, filingStatus, dependents = [], itemizedDeductions = null, federalCredits }) {
+        const excluded = this.resolvePreTaxDeductions(preTexDeductions, state);
+        const stateAdjustedIncome = grossIncome - excluded.state + businessIncome + investments.total
+            - this.getStateCapitalGainsExclusion(state, investments);
 
-        // Calculate taxes
-        const federalTax = this.calculateFederalTax(taxableIncome, filingStatus);
-        const stateTax = this.calculateStateTax(taxableIncome, state);
-        const fica = this.calculateFICA(grossIncome - preTexDeductions);
+        const stateDeduction = this.chooseDeduction(
+            this.getStateStandardDeduction(state, filingStatus),
+            this.calculateStateItemizedDeductions(stateAdjustedIncome, state, itemizedDeductions)
+        );
+        const stateTaxableIncome = this.calculateStateTaxableIncome(stateAdjustedIncome, state, filingStatus, dependents.length, stateDeduction.amount);
+        const stateRegularTax = this.calculateStateTax(stateTaxableIncome, state, filingStatus, dependents.length);
+        const stateTaxBeforeCredits = this.applyStateCapitalGainsRules(stateRegularTax, stateTaxableIncome, investments, state, filingStatus, dependents.length);
+        const stateCredits = this.calculateStateFamilyCredits({ state, filingStatus, adjustedIncome, dependents, federalCredits });
+        const incomeTax = Math.max(0, stateTaxBeforeCredits - stateCredits.nonrefundable);
 
-        const totalTax = federalTax + stateTax + fica.total;
-        const netIncome = grossIncome - preTexDeductions - totalTax;
+        // Tax saved by the chosen deduction over the standard one
+        stateDeduction.taxSavings = Math.round((this.calculateStateTax(
+            this.calculateStateTaxableIncome(stateAdjustedIncome, state, filingStatus, dependents.length), state, filingStatus, dependents.length
+        ) - stateRegularTax) * 100) / 100;
+
+        return {
+            state,
+            stateAdjustedIncome,
+            stateDeduction,
+            stateTaxableIncome,
+            stateCredits,
+            incomeTax,
+            tax: Math.round((incomeTax - stateCredits.refundable) * 100) / 100
+        };
+    }
+
+    /**
+     * Get the wages each earner makes in a state other than where they live
+     * (wages after federal pre-tax deductions, the same basis as AGI)
+     */
+    getWorkStateWages(people) {
+        return people
+            .filter(person => person.workState)
+            .map(person => ({
+                state: person.workState,
+                wages: person.grossIncome - this.resolvePreTaxDeductions(person.preTexDeductions).federal
+            }));
+    }
+
+    /**
+     * Split a return's state income tax across the states the filers lived or worked in
+     * Each state taxes its share of income (everything earned while resident, plus wages
+     * earned there while living elsewhere) at the rate its full-year return would charge,
+     * the way part-year and nonresident returns prorate. A resident state credits the tax
+     * another state charged on wages earned there during the residency, up to its own tax
+     * on those wages. Income is assumed to be earned evenly through the year, and
+     * reciprocity agreements between states aren't modeled.
+     * @param {Array<{state: string, fraction: number}>} residency - share of the year lived in each state
+     * @param {Array<{state: string|null, wages: number}>} workStates - each earner's wages and the
+     *   state they work in (null: where they live)
+     * @param {Function} stateReturn - state code => full-year return (calculateStateReturn)
+     */
+    allocateStateTaxes(adjustedIncome, residency, workStates, stateReturn) {
+        const residentFraction = (state) => residency
+            .filter(period => period.state === state)
+            .reduce((sum, period) => sum + period.fraction, 0);
+        const wagesIn = (state) => workStates
+            .filter(work => work.state === state)
+            .reduce((sum, work) => sum + Math.max(0, work.wages), 0);
+        const codes = [...new Set([...residency.map(period => period.state), ...workStates.map(work => work.state).filter(Boolean)])];
+
+        const states = codes.map(state => {
+            const fraction = residentFraction(state);
+            const sourceIncome = Math.max(0, adjustedIncome) * fraction + wagesIn(state) * (1 - fraction);
+            const incomeShare = adjustedIncome > 0 ? Math.min(1, sourceIncome / adjustedIncome) : fraction;
+            const fullYear = stateReturn(state);
+
+            return {
+                state,
+                residentFraction: fraction,
+                sourceIncome: Math.round(sourceIncome * 100) / 100,
+                incomeShare,
+                taxBeforeCredit: fullYear.incomeTax * incomeShare,
+                refundableCredits: fullYear.stateCredits.refundable * fraction,
+                creditForOtherStates: 0
+            };
+        });
+
+        // Wages earned in another state while resident here are taxed by both
+        states.filter(resident => resident.residentFraction > 0).forEach(resident => {
+            states.filter(other => other.state !== resident.state && other.sourceIncome > 0).forEach(other => {
+                const doubleTaxed = wagesIn(other.state) * resident.residentFraction;
+                if (doubleTaxed <= 0 || resident.sourceIncome <= 0) return;
+
+                resident.creditForOtherStates += Math.min(
+                    resident.taxBeforeCredit * doubleTaxed / resident.sourceIncome,
+                    other.taxBeforeCredit * doubleTaxed / other.sourceIncome
+                );
+            });
+        });
+
+        const round = (amount) => Math.round(amount * 100) / 100;
+        const allocated = states.map(entry => {
+            const incomeTax = round(Math.max(0, entry.taxBeforeCredit - entry.creditForOtherStates));
+            return {
+                state: entry.state,
+                residentFraction: entry.residentFraction,
+                sourceIncome: entry.sourceIncome,
+                incomeShare: entry.incomeShare,
+                taxBeforeCredit: round(entry.taxBeforeCredit),
+                creditForOtherStates: round(entry.creditForOtherStates),
+                incomeTax,
+                tax: round(incomeTax - entry.refundableCredits)
+            };
+        });
+
+        return {
+            states: allocated,
+            incomeTax: round(allocated.reduce((sum, entry) => sum + entry.incomeTax, 0)),
+            tax: round(allocated.reduce((sum, entry) => sum + entry.tax, 0))
+        };
+    }
+
+    /**
+     * Calculate federal, state and local income tax for one return (no payroll taxes)
+     * Federal and state each take the larger of their standard and itemized deductions,
+     * then subtract credits; refundable credits can make a tax negative (a refund)
+     * @param {number|Object} preTexDeductions - amounts keyed by type (see resolvePreTaxDeductions)
+     * @param {Object} options
+     * @param {string} [options.locality] - household.location.locality
+     * @param {number} [options.earners] - employed residents on the return (per-capita local taxes)
+     * @param {Object} [options.itemizedDeductions] - mortgageInterest, propertyTax, charitableGiving, medicalExpenses
+     * @param {Array<{age: number, careExpenses: number}>} [options.dependents] - dependents claimed on the return
+     * @param {number[]} [options.earnedIncomes] - each filer's earned income (defaults to the return's income)
+     * @param {Object} [options.investments] - interest, qualifiedDividends, shortTermCapitalGains, longTermCapitalGains
+     * @param {number} [options.investmentIncome] - for the EITC investment income limit (defaults
+     *   to the net investment income from options.investments)
+     * @param {number} [options.selfEmploymentIncome] - net business profit (after business expenses)
+     * @param {number} [options.selfEmploymentTaxDeduction] - half of the SE tax (computed from
+     *   the wages and profit on the return when not given)
+     * @param {string} [options.federalDeductionMethod] - 'standard' or 'itemized' to override the
+     *   federal choice (spouses filing separately must both itemize if either does)
+     * @param {number} [options.isoExerciseSpread] - incentive stock option spread, an AMT adjustment
+     * @param {Array<{state: string, fraction: number}>} [options.residency] - share of the year lived in
+     *   each state (defaults to all year in `state`, the home state)
+     * @param {Array<{state: string|null, wages: number}>} [options.workStates] - wages earned in a state
+     *   other than where the filers live (see allocateStateTaxes)
+     */
+    calculateIncomeTaxes(grossIncome, preTexDeductions, filingStatus, state, options = {}) {
+        const { locality = null, earners = 1, itemizedDeductions = null, dependents = [], selfEmploymentIncome = 0 } = options;
+        const excluded = this.resolvePreTaxDeductions(preTexDeductions, state);
+        const investments = this.summarizeInvestmentIncome(options.investments, filingStatus);
+        const investmentIncome = options.investmentIncome !== undefined ? options.investmentIncome : investments.netInvestmentIncome;
+        const selfEmploymentTaxDeduction = options.selfEmploymentTaxDeduction !== undefined
+            ? options.selfEmploymentTaxDeduction
+            : this.calculateSelfEmploymentTax(selfEmploymentIncome, grossIncome - excluded.fica).deduction;
+        const businessIncome = selfEmploymentIncome - selfEmploymentTaxDeduction;
+        const adjustedIncome = grossIncome - excluded.federal + businessIncome + investments.total;
+        const earnedIncomes = options.earnedIncomes || [adjustedIncome];
+
+        const dependentCareBenefits = typeof preTexDeductions === 'object' && preTexDeductions !== null
+            ? preTexDeductions.dependentCareFsa || 0 : 0;
+        const creditsBeforeLimit = this.calculateFederalCredits({
+            adjustedIncome, earnedIncomes, filingStatus, dependents, investmentIncome, dependentCareBenefits
+        });
+
+        // State first: its income tax feeds the federal SALT deduction
+        const stateReturns = {};
+        const stateReturn = (returnState) => stateReturns[returnState] || (stateReturns[returnState] = this.calculateStateReturn(returnState, {
+            grossIncome, preTexDeductions, businessIncome, investments, adjustedIncome,
+            filingStatus, dependents, itemizedDeductions, federalCredits: creditsBeforeLimit
+        }));
+        const residency = options.residency || [{ state, fraction: 1 }];
+        const states = this.allocateStateTaxes(adjustedIncome, residency, options.workStates || [], stateReturn);
+        // The home state's full-year return supplies the deduction, taxable income and local tax base
+        const homeState = stateReturn(state);
+        const { stateDeduction, stateTaxableIncome, stateCredits } = homeState;
+        const stateIncomeTax = states.incomeTax;
+        const stateTax = states.tax;
+        const homeFraction = residency.filter(period => period.state === state).reduce((sum, period) => sum + period.fraction, 0);
+
+        const fullYearLocal = this.calculateLocalTax({
+            state,
+            locality,
+            filingStatus,
+            wages: grossIncome - excluded.fica + Math.max(0, selfEmploymentIncome), // Medicare wages plus net profits
+            stateTaxableIncome,
+            stateTax: homeState.incomeTax,
+            earners
+        });
+        // Local taxes apply only while living in the home state
+        const local = { ...fullYearLocal, tax: Math.round(fullYearLocal.tax * homeFraction * 100) / 100 };
+
+        // Federal deduction and tax
+        const standardDeduction = this.getStandardDeduction(filingStatus);
+        const itemized = this.calculateItemizedDeductions(adjustedIncome, filingStatus, itemizedDeductions, stateIncomeTax + local.tax);
+        const federalDeduction = {
+            ...this.chooseDeduction(standardDeduction, itemized.total, options.federalDeductionMethod || null),
+            itemizedBreakdown: itemized
+        };
+        const taxableIncomeBeforeQBI = Math.max(0, adjustedIncome - federalDeduction.amount);
+        const qbiDeduction = this.calculateQBIDeduction(businessIncome, taxableIncomeBeforeQBI, filingStatus, investments.preferentialIncome);
+        const taxableIncome = taxableIncomeBeforeQBI - qbiDeduction;
+        const regularTax = this.calculateFederalTaxWithGains(taxableIncome, investments.preferentialIncome, filingStatus);
+        const alternativeMinimumTax = this.calculateAlternativeMinimumTax({
+            adjustedIncome,
+            qbiDeduction,
+            federalDeduction,
+            regularTax,
+            filingStatus,
+            isoExerciseSpread: options.isoExerciseSpread || 0,
+            preferentialIncome: investments.preferentialIncome
+        });
+        // Personal credits offset AMT as well as regular tax
+        const federalTaxBeforeCredits = Math.round((regularTax + alternativeMinimumTax.amount) * 100) / 100;
+        const federalCredits = this.applyFederalCredits(federalTaxBeforeCredits, creditsBeforeLimit);
+        // Credits don't offset the Net Investment Income Tax
+        const netInvestmentIncomeTax = this.calculateNetInvestmentIncomeTax(investments.netInvestmentIncome, adjustedIncome, filingStatus);
+        const federalTax = Math.round((federalTaxBeforeCredits - federalCredits.total + netInvestmentIncomeTax) * 100) / 100;
+
+        // Tax saved by the chosen deduction over the standard one
+        federalDeduction.taxSavings = Math.round((this.calculateFederalTaxWithGains(
+            Math.max(0, adjustedIncome - standardDeduction - qbiDeduction), investments.preferentialIncome, filingStatus
+        ) - regularTax) * 100) / 100;
 
         return {
             grossIncome,
-            preTexDeductions,
+            preTexDeductions: excluded.total,
+            adjustedIncome,
+            selfEmploymentIncome,
+            selfEmploymentTaxDeduction,
+            investmentIncome: investments,
             standardDeduction,
+            federalDeduction,
+            qbiDeduction,
+            stateDeduction,
             taxableIncome,
+            stateTaxableIncome,
+            regularTax,
+            alternativeMinimumTax,
+            federalTaxBeforeCredits,
+            federalCredits,
+            netInvestmentIncomeTax,
             federalTax,
+            stateCredits,
             stateTax,
+            stateTaxes: states.states,
+            localTax: local.tax,
+            localTaxJurisdiction: local.jurisdiction,
+            incomeTax: federalTax + stateTax + local.tax,
+            marginalRate: this.calculateMarginalRate(taxableIncome, filingStatus, state, stateTaxableIncome, local.marginalRate)
+        };
+    }
+
+    /**
+     * Comprehensive tax calculation
+     * `options.selfEmploymentIncome` adds a sole proprietorship's net profit, which pays
+     * SE tax (reported with FICA) and shares the Social Security wage base with wages;
+     * `options.investments` adds interest, dividends and capital gains. `alternativeMinimumTax`
+     * reports the tentative minimum tax and any AMT owed, which is included in federalTax.
+     * State payroll taxes (SDI, paid leave) are in totalTax alongside FICA; they and
+     * nonresident income tax follow `options.workState` when the job is in another state.
+     */
+    calculateAllTaxes(grossIncome, preTexDeductions, filingStatus, state, options = {}) {
+        const { selfEmploymentIncome = 0 } = options;
+        const excluded = this.resolvePreTaxDeductions(preTexDeductions);
+        const ficaWages = grossIncome - excluded.fica;
+        const additionalMedicareThreshold = this.getAdditionalMedicareThreshold(filingStatus);
+        const selfEmploymentTax = this.calculateSelfEmploymentTax(selfEmploymentIncome, ficaWages, additionalMedicareThreshold);
+
+        const incomeTaxes = this.calculateIncomeTaxes(grossIncome, preTexDeductions, filingStatus, state, {
+            ...options,
+            selfEmploymentTaxDeduction: selfEmploymentTax.deduction,
+            workStates: this.getWorkStateWages([{ grossIncome, preTexDeductions, workState: options.workState }])
+        });
+        const fica = this.combinePayrollTaxes(this.calculateFICA(ficaWages, additionalMedicareThreshold), selfEmploymentTax);
+        // Payroll taxes follow where the job is
+        const statePayrollTaxes = this.calculateStatePayrollTaxes(ficaWages, options.workState || state);
+
+        const totalIncome = grossIncome + selfEmploymentIncome + incomeTaxes.investmentIncome.total;
+        const totalTax = incomeTaxes.incomeTax + fica.total + statePayrollTaxes.total;
+        const netIncome = totalIncome - excluded.total - totalTax;
+
+        return {
+            grossIncome,
+            preTexDeductions: excluded.total,
+            adjustedIncome: incomeTaxes.adjustedIncome,
+            selfEmploymentIncome,
+            selfEmploymentTax,
+            investmentIncome: incomeTaxes.investmentIncome,
+            netInvestmentIncomeTax: incomeTaxes.netInvestmentIncomeTax,
+            qbiDeduction: incomeTaxes.qbiDeduction,
+            standardDeduction: incomeTaxes.standardDeduction,
+            federalDeduction: incomeTaxes.federalDeduction,
+            stateDeduction: incomeTaxes.stateDeduction,
+            taxableIncome: incomeTaxes.taxableIncome,
+            stateTaxableIncome: incomeTaxes.stateTaxableIncome,
+            alternativeMinimumTax: incomeTaxes.alternativeMinimumTax,
+            federalTaxBeforeCredits: incomeTaxes.federalTaxBeforeCredits,
+            federalCredits: incomeTaxes.federalCredits,
+            federalTax: incomeTaxes.federalTax,
+            stateCredits: incomeTaxes.stateCredits,
+            stateTax: incomeTaxes.stateTax,
+            stateTaxes: incomeTaxes.stateTaxes,
+            localTax: incomeTaxes.localTax,
+            localTaxJurisdiction: incomeTaxes.localTaxJurisdiction,
+            fica,
+            statePayrollTaxes,
+            totalTax,
+            netIncome,
+            effectiveRate: this.calculateEffectiveRate(totalTax, totalIncome),
+            marginalRate: incomeTaxes.marginalRate
+        };
+    }
+
+    /**
+     * Joint return calculation: income is combined and the deduction and brackets
+     * apply once, while payroll taxes (FICA and state) stay with each earner
+     * @param {Array<{grossIncome: number, preTexDeductions: number|Object, selfEmploymentIncome?: number, isoExerciseSpread?: number, workState?: string}>} people
+     */
+    calculateJointReturn(people, filingStatus, state, options = {}) {
+        const grossIncome = people.reduce((sum, person) => sum + person.grossIncome, 0);
+        const selfEmploymentIncome = people.reduce((sum, person) => sum + (person.selfEmploymentIncome || 0), 0);
+        const isoExerciseSpread = people.reduce((sum, person) => sum + (person.isoExerciseSpread || 0), 0);
+        const excludedByPerson = people.map(person => this.resolvePreTaxDeductions(person.preTexDeductions));
+        const preTexDeductions = this.combinePreTaxDeductions(people.map(person => person.preTexDeductions));
+        const earners = people.filter(person => person.grossIncome > 0 || person.selfEmploymentIncome > 0).length;
+
+        const ficaWages = people.map((person, index) => person.grossIncome - excludedByPerson[index].fica);
+        const selfEmploymentTaxByPerson = this.calculateHouseholdSelfEmploymentTax(
+            people.map(person => person.selfEmploymentIncome || 0),
+            ficaWages,
+            filingStatus
+        );
+        const selfEmploymentTaxDeduction = selfEmploymentTaxByPerson.reduce((sum, seTax) => sum + seTax.deduction, 0);
+
+        const earnedIncomes = people.map((person, index) => person.grossIncome - excludedByPerson[index].federal
+            + (person.selfEmploymentIncome || 0) - selfEmploymentTaxByPerson[index].deduction);
+
+        const incomeTaxes = this.calculateIncomeTaxes(grossIncome, preTexDeductions, filingStatus, state, {
+            ...options,
+            earners,
+            earnedIncomes,
+            selfEmploymentIncome,
+            selfEmploymentTaxDeduction,
+            isoExerciseSpread,
+            workStates: this.getWorkStateWages(people)
+        });
+        const ficaByPerson = this.calculateHouseholdFICA(ficaWages, filingStatus)
+            .map((personFica, index) => this.combinePayrollTaxes(personFica, selfEmploymentTaxByPerson[index]));
+
+        const fica = ficaByPerson.reduce((sum, personFica) => ({
+            socialSecurity: sum.socialSecurity + personFica.socialSecurity,
+            medicare: sum.medicare + personFica.medicare,
+            additionalMedicare: sum.additionalMedicare + personFica.additionalMedicare,
+            selfEmployment: sum.selfEmployment + personFica.selfEmployment,
+            total: sum.total + personFica.total
+        }), { socialSecurity: 0, medicare: 0, additionalMedicare: 0, selfEmployment: 0, total: 0 });
+        const statePayrollTaxesByPerson = ficaWages.map((wages, index) => this.calculateStatePayrollTaxes(wages, people[index].workState || state));
+        const statePayrollTaxes = this.combineStatePayrollTaxes(statePayrollTaxesByPerson);
+
+        const totalIncome = grossIncome + selfEmploymentIncome + incomeTaxes.investmentIncome.total;
+        const totalTax = incomeTaxes.incomeTax + fica.total + statePayrollTaxes.total;
+        const netIncome = totalIncome - incomeTaxes.preTexDeductions - totalTax;
+
+        return {
+            ...incomeTaxes,
             fica,
+            ficaByPerson,
+            selfEmploymentTaxByPerson,
+            statePayrollTaxes,
+            statePayrollTaxesByPerson,
             totalTax,
             netIncome,
-            effectiveRate: this.calculateEffectiveRate(totalTax, grossIncome),
-            marginalRate: this.calculateMarginalRate(taxableIncome, filingStatus, state)
+            effectiveRate: this.calculateEffectiveRate(totalTax, totalIncome)
         };
     }
 }